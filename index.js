@@ -7,6 +7,10 @@ const dotenv = require('dotenv');
 const path = require('path');
 const admin = require('firebase-admin');
 const { MongoClient } = require('mongodb');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { validateInput, coerceBoolean } = require('./schemas');
 
 // Load environment variables
 dotenv.config();
@@ -31,7 +35,8 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   credentials: true,
 };
 
@@ -40,8 +45,16 @@ app.options('*', cors(corsOptions)); // ✅ Handle preflight requests
 
 app.use(bodyParser.json());
 
+// ✅ Uniform 400 body: { error, fields } where `fields` maps each offending input to its message.
+// Pass a { field: message } map, or a plain message for errors not tied to a single input.
+function sendBadRequest(res, fields, extra = {}) {
+  if (typeof fields === 'string') return res.status(400).json({ error: fields, fields: {}, ...extra });
+  return res.status(400).json({ error: Object.values(fields).join('; '), fields, ...extra });
+}
+
 // ✅ Load credentials from environment variable (more secure)
-let credentials;
+// Optional: without them the Sheets export and Firebase Admin features are disabled
+let credentials = null;
 if (process.env.GOOGLE_CREDENTIALS_BASE64) {
   // Use base64 encoded credentials from environment variable
   const credentialsJSON = Buffer.from(process.env.GOOGLE_CREDENTIALS_BASE64, 'base64').toString('utf8');
@@ -52,19 +65,20 @@ if (process.env.GOOGLE_CREDENTIALS_BASE64) {
   try {
     credentials = require(credentialsPath);
   } catch (error) {
-    console.error('❌ ERROR: credentials.json not found and GOOGLE_CREDENTIALS_BASE64 environment variable is not set.');
-    console.error('Please set GOOGLE_CREDENTIALS_BASE64 in your environment variables.');
-    process.exit(1);
+    console.warn('⚠️ credentials.json not found and GOOGLE_CREDENTIALS_BASE64 is not set; Google Sheets export is disabled.');
   }
 }
 
 // ✅ Authenticate with Google Sheets
-const auth = new google.auth.GoogleAuth({
-  credentials: credentials,
-  scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-});
-
-const sheets = google.sheets({ version: 'v4', auth });
+const sheets = credentials
+  ? google.sheets({
+      version: 'v4',
+      auth: new google.auth.GoogleAuth({
+        credentials: credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+      }),
+    })
+  : null;
 
 // ✅ Google Sheets Configuration
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID ;
@@ -78,11 +92,21 @@ if (process.env.FIREBASE_ADMIN_CREDENTIALS_BASE64) {
   firebaseCreds = credentials; // fallback to the same service account used for Google APIs
 }
 
+// With FIREBASE_AUTH_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST set, the Admin SDK talks to the
+// emulators and only needs a project id
+const FIREBASE_EMULATED = !!(process.env.FIREBASE_AUTH_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST);
+
 if (!admin.apps.length) {
   try {
-    admin.initializeApp({
-      credential: admin.credential.cert(firebaseCreds)
-    });
+    if (firebaseCreds) {
+      admin.initializeApp({
+        credential: admin.credential.cert(firebaseCreds)
+      });
+    } else if (FIREBASE_EMULATED) {
+      admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'demo-hungryboys' });
+    } else {
+      console.warn('⚠️ No Firebase Admin credentials; Firebase auth and Firestore are disabled.');
+    }
   } catch (e) {
     console.error('Failed to initialize Firebase Admin:', e.message);
   }
@@ -111,15 +135,268 @@ async function getDb() {
   return mongoDb;
 }
 
-// ✅ Auth middleware using Firebase ID token
+// ✅ User profiles (MongoDB `users`, _id = Firebase uid)
+// During the Firestore -> Mongo rollout, reads fall back to Firestore and backfill
+// Mongo, and writes go to both stores. Set USER_PROFILES_FIRESTORE_FALLBACK=false
+// once scripts/migrateUserProfiles.js has run everywhere.
+const USER_PROFILES_FIRESTORE_FALLBACK = process.env.USER_PROFILES_FIRESTORE_FALLBACK !== 'false';
+const USER_PROFILE_CACHE_TTL_MS = Number(process.env.USER_PROFILE_CACHE_TTL_MS) || 30000;
+const userProfileCache = new Map();
+
+// Firestore profiles hold ISO strings or Timestamps; Mongo stores real dates
+function toDateValue(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toMongoUser(uid, profile) {
+  const { uid: _ignored, _id, ...rest } = profile;
+  const doc = { ...rest, _id: uid };
+  if ('createdAt' in rest) doc.createdAt = toDateValue(rest.createdAt) || new Date();
+  if ('updatedAt' in rest) doc.updatedAt = toDateValue(rest.updatedAt);
+  if ('lastLogin' in rest) doc.lastLogin = toDateValue(rest.lastLogin);
+  return doc;
+}
+
+function fromMongoUser(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { ...rest, uid: _id };
+}
+
+function useFirestoreProfiles() {
+  return USER_PROFILES_FIRESTORE_FALLBACK && !!firestore;
+}
+
+async function getUserProfile(uid) {
+  const cached = userProfileCache.get(uid);
+  if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+  const db = await getDb();
+  let profile = fromMongoUser(await db.collection('users').findOne({ _id: uid }));
+  if (!profile && useFirestoreProfiles()) {
+    const snap = await firestore.collection('users').doc(uid).get();
+    if (snap.exists) {
+      profile = { ...snap.data(), uid };
+      // Backfill so the next read (and other instances) hit Mongo
+      try {
+        await db.collection('users').updateOne(
+          { _id: uid },
+          { $setOnInsert: toMongoUser(uid, { createdAt: new Date(), ...profile }) },
+          { upsert: true }
+        );
+      } catch (err) {
+        console.error('User profile backfill failed:', uid, err.message);
+      }
+    }
+  }
+
+  if (profile) userProfileCache.set(uid, { profile, expiresAt: Date.now() + USER_PROFILE_CACHE_TTL_MS });
+  return profile;
+}
+
+// Merges `fields` into the profile (creating it if needed) in Mongo and, during rollout, Firestore
+async function saveUserProfile(uid, fields) {
+  const db = await getDb();
+  const { _id, ...set } = toMongoUser(uid, fields);
+  await db.collection('users').updateOne({ _id: uid }, { $set: set }, { upsert: true });
+  userProfileCache.delete(uid);
+  if (useFirestoreProfiles()) {
+    try {
+      await firestore.collection('users').doc(uid).set({ ...fields, uid }, { merge: true });
+    } catch (err) {
+      console.error('Firestore profile dual-write failed:', uid, err.message);
+    }
+  }
+}
+
+async function deleteUserProfile(uid) {
+  const db = await getDb();
+  await db.collection('users').deleteOne({ _id: uid });
+  userProfileCache.delete(uid);
+  if (useFirestoreProfiles()) await firestore.collection('users').doc(uid).delete();
+}
+
+// Profiles matching exact-match `filter` fields; Firestore-only profiles are merged in during rollout
+async function findUserProfiles(filter) {
+  const db = await getDb();
+  const byUid = new Map((await db.collection('users').find(filter).toArray()).map(d => [d._id, fromMongoUser(d)]));
+  if (useFirestoreProfiles()) {
+    let query = firestore.collection('users');
+    Object.entries(filter).forEach(([k, v]) => { query = query.where(k, '==', v); });
+    const snapshot = await query.get();
+    snapshot.docs.forEach(d => { if (!byUid.has(d.id)) byUid.set(d.id, { ...d.data(), uid: d.id }); });
+  }
+  return Array.from(byUid.values());
+}
+
+// =========================
+// Auth providers
+// =========================
+// Every provider exposes the subset of firebase-admin's Auth API the routes use:
+// verifyIdToken, createUser, getUser, updateUser, deleteUser, setCustomUserClaims,
+// revokeRefreshTokens and generatePasswordResetLink.
+// AUTH_PROVIDER=firebase (default) uses Firebase Auth, or the Auth emulator when
+// FIREBASE_AUTH_EMULATOR_HOST is set. AUTH_PROVIDER=local verifies HS256 JWTs signed
+// with LOCAL_AUTH_JWT_SECRET and keeps accounts in memory, for offline development and tests.
+const AUTH_PROVIDER = process.env.AUTH_PROVIDER || 'firebase';
+const LOCAL_AUTH_TOKEN_TTL_SECONDS = Number(process.env.LOCAL_AUTH_TOKEN_TTL_SECONDS) || 3600;
+
+function createFirebaseAuthProvider() {
+  if (!admin.apps.length) return null;
+  return admin.auth();
+}
+
+// Errors carry firebase-style codes so callers can treat both providers alike
+function authError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function createLocalAuthProvider(secret) {
+  const accounts = new Map();
+  const sign = data => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  const getAccount = uid => {
+    const account = accounts.get(uid);
+    if (!account) throw authError('auth/user-not-found', `No local user with uid ${uid}`);
+    return account;
+  };
+
+  return {
+    // Issues a token for `uid`; only reachable through the local token route
+    signToken(uid, claims = {}) {
+      const now = Math.floor(Date.now() / 1000);
+      const account = accounts.get(uid);
+      const payload = {
+        ...(account?.customClaims || {}),
+        ...claims,
+        uid,
+        sub: uid,
+        email: claims.email || account?.email || null,
+        iat: now,
+        exp: now + LOCAL_AUTH_TOKEN_TTL_SECONDS
+      };
+      const body = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson(payload)}`;
+      return `${body}.${sign(body)}`;
+    },
+    async verifyIdToken(token) {
+      const [header, payload, signature] = String(token).split('.');
+      if (!header || !payload || !signature) throw authError('auth/argument-error', 'Malformed token');
+      const expected = Buffer.from(sign(`${header}.${payload}`));
+      const actual = Buffer.from(signature);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw authError('auth/invalid-id-token', 'Invalid token signature');
+      }
+      const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const uid = decoded.uid || decoded.sub;
+      if (!uid) throw authError('auth/invalid-id-token', 'Token has no subject');
+      if (decoded.exp && decoded.exp * 1000 < Date.now()) throw authError('auth/id-token-expired', 'Token expired');
+      const account = accounts.get(uid);
+      if (account?.disabled) throw authError('auth/user-disabled', 'User is disabled');
+      if (account?.tokensValidAfter && decoded.iat * 1000 < account.tokensValidAfter) {
+        throw authError('auth/id-token-revoked', 'Token revoked');
+      }
+      return { ...decoded, uid };
+    },
+    async createUser({ uid, email, displayName, disabled = false }) {
+      if (email && Array.from(accounts.values()).some(a => a.email === email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+      const account = { uid: uid || crypto.randomUUID(), email: email || null, displayName: displayName || null, disabled, customClaims: {} };
+      accounts.set(account.uid, account);
+      return { ...account };
+    },
+    async getUser(uid) {
+      return { ...getAccount(uid) };
+    },
+    async updateUser(uid, update) {
+      const account = getAccount(uid);
+      ['email', 'displayName', 'disabled'].forEach(k => { if (k in update) account[k] = update[k]; });
+      return { ...account };
+    },
+    async deleteUser(uid) {
+      getAccount(uid);
+      accounts.delete(uid);
+    },
+    async setCustomUserClaims(uid, claims) {
+      // Profiles created outside this process (e.g. seeded in Mongo) get an account on first use
+      const account = accounts.get(uid) || { uid, email: null, displayName: null, disabled: false };
+      account.customClaims = claims || {};
+      accounts.set(uid, account);
+    },
+    async revokeRefreshTokens(uid) {
+      getAccount(uid).tokensValidAfter = Date.now();
+    },
+    async generatePasswordResetLink(email) {
+      return `http://localhost/local-auth/reset-password?email=${encodeURIComponent(email)}`;
+    }
+  };
+}
+
+const authProvider = (() => {
+  if (AUTH_PROVIDER === 'local') {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('❌ AUTH_PROVIDER=local is not allowed when NODE_ENV=production');
+      return null;
+    }
+    if (!process.env.LOCAL_AUTH_JWT_SECRET) {
+      console.error('❌ AUTH_PROVIDER=local requires LOCAL_AUTH_JWT_SECRET');
+      return null;
+    }
+    console.warn('⚠️ Using local JWT auth provider; do not use this outside development.');
+    return createLocalAuthProvider(process.env.LOCAL_AUTH_JWT_SECRET);
+  }
+  if (AUTH_PROVIDER !== 'firebase') {
+    console.error(`❌ Unknown AUTH_PROVIDER "${AUTH_PROVIDER}" (expected firebase or local)`);
+    return null;
+  }
+  return createFirebaseAuthProvider();
+})();
+
+// ✅ Local auth only: mint a token for an existing profile (by uid or email).
+// The route is unauthenticated, so it is only mounted when NODE_ENV is explicitly development or test.
+const LOCAL_TOKEN_ROUTE_ENVS = ['development', 'test'];
+if (AUTH_PROVIDER === 'local' && authProvider && LOCAL_TOKEN_ROUTE_ENVS.includes(process.env.NODE_ENV)) {
+  app.post('/api/auth/local/token', async (req, res) => {
+    try {
+      const { uid, email } = req.body || {};
+      if (!uid && !email) return sendBadRequest(res, { uid: 'uid or email is required' });
+      const db = await getDb();
+      const users = db.collection('users');
+      const profile = uid
+        ? await getUserProfile(String(uid))
+        : fromMongoUser(await users.findOne({ email: String(email) }));
+      if (!profile) return res.status(404).json({ error: 'User profile not found' });
+      // superAdmin tokens need a real Mongo profile, not a cached or Firestore fallback one
+      if (profile.role === 'superAdmin' && !(await users.findOne({ _id: profile.uid, role: 'superAdmin' }))) {
+        return res.status(403).json({ error: 'superAdmin tokens require an existing superAdmin user in MongoDB' });
+      }
+      res.json({ token: authProvider.signToken(profile.uid, { email: profile.email || null }), expiresIn: LOCAL_AUTH_TOKEN_TTL_SECONDS });
+    } catch (err) {
+      console.error('Error issuing local token:', err);
+      res.status(500).json({ error: 'Failed to issue token' });
+    }
+  });
+}
+
+// ✅ Auth middleware using the configured provider's ID token
 async function verifyFirebaseToken(req, res, next) {
+  if (!authProvider) return res.status(500).json({ error: 'Auth provider not configured on server' });
   try {
     const authHeader = req.headers.authorization || '';
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
     if (!token) {
       return res.status(401).json({ error: 'Missing Authorization Bearer token' });
     }
-    const decoded = await admin.auth().verifyIdToken(token);
+    const decoded = await authProvider.verifyIdToken(token);
     req.user = { uid: decoded.uid, email: decoded.email || null };
     next();
   } catch (err) {
@@ -128,16 +405,22 @@ async function verifyFirebaseToken(req, res, next) {
   }
 }
 
-// ✅ Load user profile (campus enforcement) from Firestore
+const USER_ROLES = ['user', 'campusAdmin', 'superAdmin', 'restaurantManager', 'rider'];
+
+// Returns null when the profile may use the API, otherwise why it is refused
+function profileDenial(profile) {
+  if (!profile) return 'User profile not found';
+  if (!USER_ROLES.includes(profile.role)) return 'Unauthorized role';
+  if (profile.isActive === false) return 'Account is deactivated';
+  return null;
+}
+
+// ✅ Load user profile (campus enforcement) from MongoDB, with Firestore fallback during rollout
 async function loadUserProfile(req, res, next) {
-  if (!firestore) return res.status(500).json({ error: 'Firestore not initialized on server' });
   try {
-    const userDoc = await firestore.collection('users').doc(req.user.uid).get();
-    if (!userDoc.exists) return res.status(403).json({ error: 'User profile not found' });
-    const profile = userDoc.data();
-    if (profile?.role !== 'user' && profile?.role !== 'campusAdmin' && profile?.role !== 'superAdmin' && profile?.role !== 'restaurantManager') {
-      return res.status(403).json({ error: 'Unauthorized role' });
-    }
+    const profile = await getUserProfile(req.user.uid);
+    const denial = profileDenial(profile);
+    if (denial) return res.status(403).json({ error: denial });
     req.userProfile = profile;
     next();
   } catch (err) {
@@ -145,6 +428,305 @@ async function loadUserProfile(req, res, next) {
   }
 }
 
+// =========================
+// Permission policy (role × action × scope)
+// =========================
+// Every authenticated route declares its action with authorize(action, resolveTarget).
+// For each action a role maps to the scope it may act in; roles not listed are denied:
+//   any        unrestricted
+//   campus     the resource must be on the caller's campus
+//   restaurant the resource must belong to the caller's restaurant
+//   own        the resource must belong to the caller (e.g. orders they placed)
+// resolveTarget(req) returns { campusId, restaurantIds, restaurantNames, userId } for the
+// resource acted on, or null when it does not exist (the route then answers 404). Routes
+// without a resolver act on lists and scope their own queries (orderAccessFilter, reportScope).
+const PERMISSIONS = {
+  'university.manage': { label: 'manage universities', roles: { superAdmin: 'any' } },
+  'campus.manage': { label: 'manage campuses', roles: { superAdmin: 'any' } },
+  'restaurant.create': { label: 'create restaurants', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'restaurant.update': { label: 'update restaurants', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' } },
+  'restaurant.delete': { label: 'delete or restore restaurants', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'restaurant.purge': { label: 'purge restaurants', roles: { superAdmin: 'any' } },
+  'menuItem.manage': { label: 'manage menu items', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' } },
+  'martItem.manage': { label: 'manage mart items', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'campusSettings.manage': { label: 'manage campus settings', roles: { superAdmin: 'any' } },
+  'deliverySlot.manage': { label: 'manage delivery slots', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'promoCode.manage': { label: 'manage promo codes', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' } },
+  'order.create': {
+    label: 'place orders',
+    roles: { user: 'campus', campusAdmin: 'campus', restaurantManager: 'campus', superAdmin: 'campus' }
+  },
+  'order.list': { label: 'list orders', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'campus', user: 'own' } },
+  'order.listAll': { label: 'list orders across campuses', roles: { superAdmin: 'any' } },
+  'order.listRestaurant': { label: 'list restaurant orders', roles: { restaurantManager: 'restaurant' } },
+  'order.listMine': { label: 'list your orders', roles: { superAdmin: 'own', campusAdmin: 'own', restaurantManager: 'own', user: 'own' } },
+  'order.export': { label: 'export orders', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'order.stream': { label: 'follow the order feed', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant', rider: 'own' } },
+  'order.read': { label: 'view orders', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant', user: 'own' } },
+  'order.cancel': { label: 'cancel orders', roles: { superAdmin: 'own', campusAdmin: 'own', restaurantManager: 'own', user: 'own' } },
+  'order.updateStatus': { label: 'update order status', roles: { campusAdmin: 'campus', restaurantManager: 'restaurant', user: 'own' } },
+  'order.reviewPayment': { label: 'review payments', roles: { campusAdmin: 'campus' } },
+  'order.listPendingPayments': { label: 'list payments awaiting review', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'order.assignRider': { label: 'assign riders to orders', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'delivery.listMine': { label: 'list your deliveries', roles: { rider: 'own' } },
+  'delivery.update': { label: 'update deliveries', roles: { rider: 'own' } },
+  'rider.history': { label: 'view rider delivery history', roles: { superAdmin: 'any', campusAdmin: 'campus', rider: 'own' } },
+  'user.manage': { label: 'manage users', roles: { superAdmin: 'any', campusAdmin: 'campus' } },
+  'report.read': { label: 'view reports', roles: { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' } },
+  'log.read': { label: 'view audit logs', roles: { superAdmin: 'any' } },
+  'notification.registerDevice': {
+    label: 'register devices for notifications',
+    roles: { user: 'own', campusAdmin: 'own', superAdmin: 'own', restaurantManager: 'own', rider: 'own' }
+  },
+  'notification.manage': { label: 'manage the notification outbox', roles: { superAdmin: 'any' } }
+};
+
+const SCOPE_DENIALS = {
+  campus: label => `You can only ${label} on your assigned campus`,
+  restaurant: label => `You can only ${label} for your assigned restaurant`,
+  own: label => `You can only ${label} that belong to you`
+};
+
+// Returns null when allowed, otherwise the reason the policy refuses `action`
+function permissionDenial(profile, uid, action, target) {
+  const policy = PERMISSIONS[action];
+  if (!policy) return `Unknown action ${action}`;
+  const scope = policy.roles[profile?.role];
+  if (!scope) return `Role ${profile?.role || 'unknown'} is not allowed to ${policy.label}`;
+  if (scope === 'campus' && !profile.campusId) return 'No campus assigned to user profile';
+  if (scope === 'restaurant' && !profile.restaurantId) return 'No restaurant assigned to user profile';
+  if (!target || scope === 'any') return null;
+
+  if (scope === 'campus' && target.campusId !== undefined && target.campusId !== profile.campusId) return SCOPE_DENIALS.campus(policy.label);
+  if (scope === 'restaurant') {
+    const ownsById = (target.restaurantIds || []).map(String).includes(String(profile.restaurantId));
+    const ownsByName = !!profile.restaurantName && (target.restaurantNames || []).includes(profile.restaurantName);
+    if (!ownsById && !ownsByName) return SCOPE_DENIALS.restaurant(policy.label);
+  }
+  if (scope === 'own' && target.userId !== uid) return SCOPE_DENIALS.own(policy.label);
+  return null;
+}
+
+// Uniform 403 body: { error, action, role }
+function sendForbidden(req, res, action, message) {
+  return res.status(403).json({ error: message, action, role: req.userProfile?.role || null });
+}
+
+// Route middleware refusing the caller when the policy does not allow `action` on the target
+function authorize(action, resolveTarget) {
+  if (!PERMISSIONS[action]) throw new Error(`authorize: unknown action ${action}`);
+  const middleware = async (req, res, next) => {
+    try {
+      const target = resolveTarget ? await resolveTarget(req) : null;
+      const denial = permissionDenial(req.userProfile, req.user.uid, action, target);
+      if (denial) return sendForbidden(req, res, action, denial);
+      next();
+    } catch (err) {
+      console.error(`Authorization for ${action} failed:`, err);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+  // Lets tooling (and the permission tests) read which action a route declares
+  middleware.action = action;
+  return middleware;
+}
+
+// Target resolvers
+const targetFromBody = req => ({
+  campusId: req.body?.campusId,
+  restaurantIds: req.body?.restaurantId ? [req.body.restaurantId] : []
+});
+
+function targetFromDocument(collection, toTarget) {
+  return async req => {
+    const db = await getDb();
+    const doc = await db.collection(collection).findOne({ _id: { $in: idCandidates(req.params.id) } });
+    return doc ? toTarget(doc) : null;
+  };
+}
+
+const restaurantTarget = targetFromDocument('restaurants', r => ({ campusId: r.campusId, restaurantIds: [String(r._id)], restaurantNames: [r.name] }));
+const menuItemTarget = targetFromDocument('menuItems', m => ({ campusId: m.campusId, restaurantIds: [m.restaurantId] }));
+const martItemTarget = targetFromDocument('martItems', m => ({ campusId: m.campusId }));
+const campusParamTarget = req => ({ campusId: req.params.campusId });
+// Deliveries belong to the rider assigned to them
+const deliveryTarget = targetFromDocument('orders', o => ({ campusId: o.campusId, userId: o.rider?.uid || null }));
+// Any profile resolves, so history stays readable after a rider changes role
+async function riderTarget(req) {
+  const rider = await getUserProfile(req.params.uid);
+  return rider ? { campusId: rider.campusId, userId: req.params.uid } : null;
+}
+const promoCodeTarget = targetFromDocument('promoCodes', p => ({ campusId: p.campusId, restaurantIds: p.restaurantId ? [p.restaurantId] : [] }));
+const orderTarget = targetFromDocument('orders', o => ({
+  campusId: o.campusId,
+  userId: o.userId,
+  restaurantIds: (o.cartItemsArray || []).map(l => l.restaurantId).filter(Boolean),
+  restaurantNames: o.restaurantNames || []
+}));
+
+// ✅ Audit log (written to the `logs` collection provisioned by scripts/initMongo.js)
+const AUDIT_IGNORED_FIELDS = ['_id', 'updatedAt'];
+
+// Shallow per-field diff; only fields whose value actually changed are kept
+function diffDocuments(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (AUDIT_IGNORED_FIELDS.includes(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return changes;
+}
+
+// Never throws: a failed audit write must not fail the request that triggered it
+async function writeAuditLog(req, { action, targetType, targetId, before = null, after = null, campusId = null, meta = null }) {
+  try {
+    const db = await getDb();
+    await db.collection('logs').insertOne({
+      timestamp: new Date(),
+      action,
+      targetType,
+      targetId: targetId === undefined || targetId === null ? null : String(targetId),
+      performedBy: req.user?.uid || null,
+      performedByEmail: req.userProfile?.email || req.user?.email || null,
+      performedByRole: req.userProfile?.role || null,
+      campusId: campusId || after?.campusId || before?.campusId || null,
+      changes: diffDocuments(before, after),
+      before,
+      after,
+      ...(meta ? { meta } : {})
+    });
+  } catch (err) {
+    console.error('Audit log write failed:', action, err.message);
+  }
+}
+
+// =========================
+// Rate limiting
+// =========================
+// Fixed-window counters per rule and key (client IP, uid, phone). RATE_LIMIT_STORE picks
+// the store: `memory` (default, per process) or `mongo` (shared across instances, counters
+// in `rateLimits` expire through a TTL index). Each rule can be overridden with
+// RATE_LIMIT_<RULE>=<max>/<windowSeconds>, e.g. RATE_LIMIT_ORDERS=10/600.
+// TRUST_PROXY sets Express's `trust proxy` so req.ip is the client address, not the proxy's;
+// without it every client behind the proxy shares one bucket. It defaults to 1 (the single
+// Railway proxy hop) in production and on Railway; TRUST_PROXY=false turns it off.
+const TRUST_PROXY = process.env.TRUST_PROXY
+  || (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT ? '1' : null);
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : Number.isNaN(Number(TRUST_PROXY)) ? TRUST_PROXY : Number(TRUST_PROXY));
+} else if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
+  console.warn('⚠️ TRUST_PROXY=false in production: rate limits will key on the proxy address, so all clients share one bucket.');
+}
+
+const RATE_LIMIT_RULES = {
+  catalog: { max: 120, windowSeconds: 60 },
+  submitOrder: { max: 10, windowSeconds: 600 },
+  orders: { max: 10, windowSeconds: 600 }
+};
+
+function rateLimitRule(name) {
+  const override = process.env[`RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`];
+  const match = override && /^(\d+)\/(\d+)$/.exec(override.trim());
+  if (override && !match) console.warn(`⚠️ Ignoring malformed rate limit override for ${name}: ${override}`);
+  return match ? { max: Number(match[1]), windowSeconds: Number(match[2]) } : RATE_LIMIT_RULES[name];
+}
+
+// Store interface: hit(key, windowMs) -> { count, resetAt } for the current window
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+        // Opportunistic sweep so idle keys do not pile up
+        if (windows.size > 10000) windows.forEach((v, k) => { if (v.resetAt <= now) windows.delete(k); });
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+function createMongoRateLimitStore() {
+  return {
+    async hit(key, windowMs) {
+      const db = await getDb();
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      const increment = () => db.collection('rateLimits').findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+      );
+      let result;
+      try {
+        result = await increment();
+      } catch (err) {
+        // Two first hits in a window race to insert the counter; the loser retries as a plain $inc
+        if (err.code !== 11000) throw err;
+        result = await increment();
+      }
+      return { count: result.value.count, resetAt };
+    }
+  };
+}
+
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoRateLimitStore() : createMemoryRateLimitStore();
+
+// Middleware limiting `rule` per identity; `keys(req)` returns { ip, uid, phone, ... } and
+// each present value is counted separately. Store failures let the request through.
+function rateLimit(ruleName, keys = req => ({ ip: req.ip })) {
+  return async (req, res, next) => {
+    const { max, windowSeconds } = rateLimitRule(ruleName);
+    try {
+      const identities = Object.entries(keys(req)).filter(([, value]) => value);
+      for (const [kind, value] of identities) {
+        const { count, resetAt } = await rateLimitStore.hit(`${ruleName}:${kind}:${String(value).toLowerCase()}`, windowSeconds * 1000);
+        if (count > max) {
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: `Too many requests. Please try again in ${retryAfter} seconds.`,
+            limit: max,
+            windowSeconds,
+            retryAfter
+          });
+        }
+      }
+    } catch (err) {
+      console.error(`Rate limit check for ${ruleName} failed:`, err.message);
+    }
+    next();
+  };
+}
+
+const catalogRateLimit = rateLimit('catalog');
+const normalizePhone = phone => (typeof phone === 'string' ? phone.replace(/[\s-]/g, '') : null);
+
+// ✅ reCAPTCHA verification shared by /submit-order and POST /api/orders.
+// Returns null when the token is valid, otherwise the reason it was refused.
+async function verifyRecaptcha(token, remoteIp) {
+  if (!process.env.RECAPTCHA_SECRET_KEY) return 'reCAPTCHA is not configured on this server';
+  if (!token) return 'reCAPTCHA token is required';
+  try {
+    const response = await axios.post('https://www.google.com/recaptcha/api/siteverify', null, {
+      params: { secret: process.env.RECAPTCHA_SECRET_KEY, response: token, remoteip: remoteIp }
+    });
+    return response.data.success ? null : 'reCAPTCHA verification failed';
+  } catch (err) {
+    console.error('reCAPTCHA verification request failed:', err.message);
+    return 'reCAPTCHA verification failed';
+  }
+}
+
 // ✅ Root route
 app.get('/', (req, res) => {
   res.send('✅ Google Sheets API backend is running!');
@@ -197,97 +779,85 @@ app.post('/api/sheets/recreate-campus', async (req, res) => {
   return res.status(410).json({ error: 'Google Sheets integration has been removed' });
 });
 
+// ✅ Order sheet layout (shared by /submit-order and the CSV/XLSX exports)
+const ORDER_SHEET_HEADERS = [
+  'University', 'Campus', 'First Name', 'Last Name', 'Room', 'Phone', 'Email', 'Gender',
+  'Persons', 'Delivery Charge', 'Item Total', 'Grand Total', 'Cart Items', 'Timestamp',
+  'Account Title', 'Bank Name', 'Screenshot URL', 'Special Instruction',
+  'Male Name', 'Male Order', 'Female Name', 'Female Order'
+];
+
+function formatOrderTimestamp(date) {
+  return new Date(date).toLocaleString('en-PK', {
+    timeZone: 'Asia/Karachi',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+// One sheet row in ORDER_SHEET_HEADERS order, including the male/female split columns
+function orderSheetRow(order, timestamp) {
+  // Format orders for gender-specific columns
+  const orderSummary = `Order at ${timestamp}:
+Total: Rs. ${order.grandTotal}
+Items: ${order.cartItems || ''}`;
+  const fullName = `${order.firstName || ''} ${order.lastName || ''}`.trim();
+
+  return [
+    order.universityName || '',
+    order.campusName || '',
+    order.firstName || '',
+    order.lastName || '',
+    order.room || '',
+    order.phone || '',
+    order.email || '',
+    order.gender || '',
+    order.persons || '',
+    order.deliveryCharge || '',
+    order.itemTotal || '',
+    order.grandTotal || '',
+    order.cartItems || '',
+    timestamp,
+    order.accountTitle || '',
+    order.bankName || '',
+    order.screenshotURL || '',
+    order.specialInstruction || '',
+    // Gender-specific columns
+    order.gender === 'male' ? fullName : '',
+    order.gender === 'male' ? orderSummary : '',
+    order.gender === 'female' ? fullName : '',
+    order.gender === 'female' ? orderSummary : ''
+  ];
+}
+
 // ✅ Submit order endpoint
-app.post('/submit-order', async (req, res) => {
+app.post('/submit-order', rateLimit('submitOrder', req => ({ ip: req.ip, phone: normalizePhone(req.body?.phone) })), async (req, res) => {
   const order = req.body;
   const recaptchaToken = order.recaptchaToken;
 
   try {
     // 1. Verify reCAPTCHA
-    const recaptchaResponse = await axios.post(
-      'https://www.google.com/recaptcha/api/siteverify',
-      null,
-      {
-        params: {
-          secret: process.env.RECAPTCHA_SECRET_KEY,
-          response: recaptchaToken,
-        },
-      }
-    );
+    const recaptchaError = await verifyRecaptcha(recaptchaToken, req.ip);
+    if (recaptchaError) {
+      return sendBadRequest(res, { recaptchaToken: `❌ ${recaptchaError}` });
+    }
 
-    if (!recaptchaResponse.data.success) {
-      return res.status(400).json({ error: '❌ reCAPTCHA verification failed' });
+    if (!sheets || !SPREADSHEET_ID) {
+      return res.status(503).json({ error: '❌ Google Sheets is not configured on this server' });
     }
 
     // 2. Prepare data for Google Sheets
-    const timestamp = new Date().toLocaleString('en-PK', {
-      timeZone: 'Asia/Karachi',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-    });
-
-    // Format orders for gender-specific columns
-    const orderSummary = `Order at ${timestamp}:
-Total: Rs. ${order.grandTotal}
-Items: ${order.cartItems || ''}`;
-
-    const orderData = [[
-      order.firstName || '',
-      order.lastName || '',
-      order.room || '',
-      order.phone || '',
-      order.email || '',
-      order.gender || '',  // Include gender in main columns
-      order.persons || '',
-      order.deliveryCharge || '',
-      order.itemTotal || '',
-      order.grandTotal || '',
-      order.cartItems || '',
-      timestamp,
-      order.accountTitle || '',
-      order.bankName || '',
-      order.screenshotURL || '',
-      order.specialInstruction || '',
-      // Gender-specific columns
-      order.gender === 'male' ? order.firstName + ' ' + order.lastName : '',  // Male name
-      order.gender === 'male' ? orderSummary : '',  // Male order details
-      order.gender === 'female' ? order.firstName + ' ' + order.lastName : '', // Female name
-      order.gender === 'female' ? orderSummary : ''  // Female order details
-    ]];
+    const timestamp = formatOrderTimestamp(new Date());
 
     // 3. Append to campus-specific sheet
     const tabName = `${order.universityName}_${order.campusName}`.replace(/[^a-zA-Z0-9_-]/g, '_');
     
     // Prepare order data for campus sheet (with university and campus names)
-    const campusOrderData = [[
-      order.universityName || '',
-      order.campusName || '',
-      order.firstName || '',
-      order.lastName || '',
-      order.room || '',
-      order.phone || '',
-      order.email || '',
-      order.gender || '',
-      order.persons || '',
-      order.deliveryCharge || '',
-      order.itemTotal || '',
-      order.grandTotal || '',
-      order.cartItems || '',
-      timestamp,
-      order.accountTitle || '',
-      order.bankName || '',
-      order.screenshotURL || '',
-      order.specialInstruction || '',
-      // Gender-specific columns
-      order.gender === 'male' ? order.firstName + ' ' + order.lastName : '',
-      order.gender === 'male' ? orderSummary : '',
-      order.gender === 'female' ? order.firstName + ' ' + order.lastName : '',
-      order.gender === 'female' ? orderSummary : ''
-    ]];
+    const campusOrderData = [orderSheetRow(order, timestamp)];
 
     // Append to campus-specific sheet
     await sheets.spreadsheets.values.append({
@@ -317,221 +887,2464 @@ Items: ${order.cartItems || ''}`;
 });
 
 // =========================
-// New: MongoDB Orders API
-// Enforces: users can order ONLY from their own campus
+// Restaurant opening hours
 // =========================
 
-app.post('/api/orders', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  try {
-    const db = await getDb();
-    const {
-      universityId,
-      campusId,
-      universityName,
-      campusName,
-      firstName,
-      lastName,
-      phone,
-      email,
-      gender,
-      persons,
-      deliveryCharge,
-      itemTotal,
-      grandTotal,
-      cartItems,
-      cartItemsFormatted,
-      restaurantNames,
-      accountTitle,
-      bankName,
-      screenshotURL,
-      specialInstruction,
-      recaptchaToken
-    } = req.body || {};
+// Campus-local timezone used when campusSettings has no `timezone`
+const DEFAULT_CAMPUS_TIMEZONE = process.env.CAMPUS_TIMEZONE || 'Asia/Karachi';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
 
-    // Optional: verify reCAPTCHA if provided and secret is configured
+// Parses free-form times like "10:00 AM", "2 pm", "22:30" into minutes after midnight
+function parseTimeOfDay(value) {
+  if (typeof value !== 'string') return null;
+  const m = value.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  const meridiem = m[3] ? m[3][0] : null;
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'p') hours += 12;
+  } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return (hours * 60 + minutes) % MINUTES_PER_DAY;
+}
 
-    // Optional: verify reCAPTCHA if provided and secret is configured
-    if (recaptchaToken && process.env.RECAPTCHA_SECRET_KEY) {
-      try {
-        const recaptchaResponse = await axios.post(
-          'https://www.google.com/recaptcha/api/siteverify',
-          null,
-          { params: { secret: process.env.RECAPTCHA_SECRET_KEY, response: recaptchaToken } }
-        );
-        if (!recaptchaResponse.data.success) {
-          return res.status(400).json({ error: 'reCAPTCHA verification failed' });
-        }
-      } catch (e) {
-        return res.status(400).json({ error: 'reCAPTCHA verification failed' });
-      }
-    }
+// Wall-clock parts of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', weekday: 'short'
+  }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: parts.weekday.slice(0, 3).toLowerCase()
+  };
+}
 
-    // Enforce campus restriction
-    const assignedCampusId = req.userProfile?.campusId;
-    if (!assignedCampusId) {
-      return res.status(403).json({ error: 'No campus assigned to user profile' });
-    }
-    if (!campusId || campusId !== assignedCampusId) {
-      return res.status(403).json({
-        error: 'You can only place orders from your assigned campus. Please switch back to your campus in the navbar.'
-      });
-    }
+// UTC instant for a local date + minutes-after-midnight in `timeZone`
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  // Correct by the zone offset at the guess, twice to settle DST edges
+  let utc = guess;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(utc), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes);
+    utc += guess - asUtc;
+  }
+  return new Date(utc);
+}
 
-    // Basic field checks (gender is required by validator)
-    if (!firstName || !phone || !gender || !grandTotal) {
-      return res.status(400).json({ error: 'Missing required order fields' });
-    }
+function localDateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
 
-    const orderDoc = {
-      universityId: universityId || req.userProfile?.universityId || null,
-      campusId,
-      universityName: universityName || null,
-      campusName: campusName || null,
-      firstName,
-      lastName: lastName || null,
-      phone,
-      email: email || req.user?.email || null,
-      gender,
-      persons: persons ?? null,
-      deliveryCharge: deliveryCharge ?? null,
-      itemTotal: itemTotal ?? null,
-      grandTotal,
-      cartItems: cartItemsFormatted || (typeof cartItems === 'string' ? cartItems : JSON.stringify(cartItems)), // Keep as string for schema validation
-      cartItemsArray: Array.isArray(cartItems) ? cartItems : [], // Store array for filtering
-      // Optional: list of restaurant names present in the order for filtering
-      ...(Array.isArray(restaurantNames) && restaurantNames.length > 0
-        ? { restaurantNames: Array.from(new Set(restaurantNames.map(x => String(x).trim()).filter(Boolean))) }
-        : {}),
-      timestamp: new Date().toISOString(),
-      accountTitle: accountTitle || null,
-      bankName: bankName || null,
-      screenshotURL: screenshotURL || null,
-      specialInstruction: specialInstruction || null,
-      createdAt: new Date(),
-      status: 'pending'
-    };
+// Opening windows ([{ open, close }] in minutes) that start on the given weekday.
+// Per-day `schedule` entries win; days without one use openTime/closeTime.
+function windowsForDay(restaurant, weekday) {
+  const schedule = restaurant.schedule;
+  const slots = schedule && Object.prototype.hasOwnProperty.call(schedule, weekday)
+    ? (schedule[weekday] || [])
+    : [{ open: restaurant.openTime, close: restaurant.closeTime }];
+  return slots
+    .map(s => ({ open: parseTimeOfDay(s.open), close: parseTimeOfDay(s.close) }))
+    .filter(w => w.open !== null && w.close !== null);
+}
 
-    const result = await db.collection('orders').insertOne(orderDoc);
+// Legacy restaurants may have neither a schedule nor parseable openTime/closeTime.
+// They were always orderable before opening hours existed, so they stay open (minus holidays).
+function hasConfiguredHours(restaurant) {
+  if (restaurant.is24x7) return true;
+  if (restaurant.schedule && typeof restaurant.schedule === 'object' && Object.keys(restaurant.schedule).length) return true;
+  return parseTimeOfDay(restaurant.openTime) !== null && parseTimeOfDay(restaurant.closeTime) !== null;
+}
 
-    res.status(201).json({ id: result.insertedId });
-  } catch (err) {
-    console.error('Create order failed:', err);
-    res.status(500).json({ error: 'Failed to create order' });
+const warnedUnconfiguredHours = new Set();
+
+function isHoliday(restaurant, dateKey) {
+  return Array.isArray(restaurant.holidays) && restaurant.holidays.some(h => h && h.date === dateKey);
+}
+
+// { isOpenNow, nextOpenAt, hoursConfigured } for a restaurant at `now` in the campus timezone.
+// Windows whose close is at or before their open run past midnight; open === close means all day.
+// Restaurants without usable hours are treated as always open and reported with hoursConfigured: false.
+function restaurantOpenState(restaurant, timeZone = DEFAULT_CAMPUS_TIMEZONE, now = new Date()) {
+  const local = zonedParts(now, timeZone);
+  const todayKey = localDateKey(local.year, local.month, local.day);
+  const hoursConfigured = hasConfiguredHours(restaurant);
+  if (!hoursConfigured && !warnedUnconfiguredHours.has(String(restaurant._id))) {
+    warnedUnconfiguredHours.add(String(restaurant._id));
+    console.warn(`⚠️ Restaurant ${restaurant._id} (${restaurant.name}) has no usable opening hours; treating it as always open`);
   }
-});
+  const alwaysOpen = restaurant.is24x7 || !hoursConfigured;
 
-// List orders (campus-scoped for campus admin, all orders for super admin)
-app.get('/api/orders', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  try {
-    const db = await getDb();
-    const { status, limit = 50 } = req.query;
-    const isSuperAdminUser = isSuperAdmin(req.userProfile);
-    
-    // Super admin sees all orders, campus admin sees only their campus
-    const filter = isSuperAdminUser ? {} : { campusId: req.userProfile?.campusId };
-    
-    if (status) filter.status = status;
-    const orders = await db.collection('orders')
-      .find(filter)
-      .sort({ createdAt: -1 })
-      .limit(Number(limit))
-      .toArray();
-    res.json(orders);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to list orders' });
+  if (alwaysOpen && !isHoliday(restaurant, todayKey)) {
+    return { isOpenNow: true, nextOpenAt: null, hoursConfigured };
   }
-});
 
-// Explicit super-admin endpoint for all orders (alias for clarity)
-app.get('/api/orders/all', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  try {
-    if (!isSuperAdmin(req.userProfile)) {
-      return res.status(403).json({ error: 'Super admin only' });
+  // A local calendar day `offset` days from today (noon avoids DST edge cases)
+  const dayAt = offset => {
+    const noonUtc = zonedTimeToUtc(local.year, local.month, local.day, 12 * 60, timeZone).getTime();
+    const p = zonedParts(new Date(noonUtc + offset * MINUTES_PER_DAY * 60000), timeZone);
+    return { ...p, key: localDateKey(p.year, p.month, p.day) };
+  };
+
+  const today = dayAt(0);
+  const yesterday = dayAt(-1);
+  const openToday = !isHoliday(restaurant, today.key) && windowsForDay(restaurant, today.weekday).some(w =>
+    w.open === w.close ||
+    (w.open < w.close ? local.minutes >= w.open && local.minutes < w.close : local.minutes >= w.open)
+  );
+  const spillover = !isHoliday(restaurant, yesterday.key) && windowsForDay(restaurant, yesterday.weekday).some(w =>
+    w.close < w.open && local.minutes < w.close
+  );
+  if (openToday || spillover) return { isOpenNow: true, nextOpenAt: null, hoursConfigured };
+
+  // Earliest window start within the next two weeks (covers runs of holidays)
+  for (let offset = 0; offset <= 14; offset++) {
+    const day = dayAt(offset);
+    if (alwaysOpen) {
+      if (!isHoliday(restaurant, day.key)) return { isOpenNow: false, nextOpenAt: zonedTimeToUtc(day.year, day.month, day.day, 0, timeZone).toISOString(), hoursConfigured };
+      continue;
+    }
+    if (isHoliday(restaurant, day.key)) continue;
+    const starts = windowsForDay(restaurant, day.weekday)
+      .map(w => w.open)
+      .filter(open => offset > 0 || open > local.minutes)
+      .sort((a, b) => a - b);
+    if (starts.length) {
+      return { isOpenNow: false, nextOpenAt: zonedTimeToUtc(day.year, day.month, day.day, starts[0], timeZone).toISOString(), hoursConfigured };
     }
-    const db = await getDb();
-    const { limit = 1000 } = req.query;
-    const orders = await db.collection('orders')
-      .find({})
-      .sort({ createdAt: -1 })
-      .limit(Number(limit))
-      .toArray();
-    res.json(orders);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to list orders' });
   }
-});
+  return { isOpenNow: false, nextOpenAt: null, hoursConfigured };
+}
 
-// Update order status (campus admin and restaurant manager, not super admin)
-app.patch('/api/orders/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  try {
-    // Prevent super admins from updating order status
-    if (isSuperAdmin(req.userProfile)) {
-      return res.status(403).json({ error: 'Super admins cannot update order status. Only campus admins and restaurant managers can update orders.' });
+// Validates the optional `schedule` / `holidays` fields of a restaurant payload.
+// Returns a { field: message } map or null.
+function validateOpeningHours({ openTime, closeTime, schedule, holidays }) {
+  if (openTime !== undefined && openTime !== null && parseTimeOfDay(openTime) === null) {
+    return { openTime: 'openTime must be a time like "10:00 AM" or "22:00"' };
+  }
+  if (closeTime !== undefined && closeTime !== null && parseTimeOfDay(closeTime) === null) {
+    return { closeTime: 'closeTime must be a time like "10:00 PM" or "22:00"' };
+  }
+  if (schedule !== undefined && schedule !== null) {
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) return { schedule: 'schedule must be an object keyed by weekday (sun..sat)' };
+    for (const [day, slots] of Object.entries(schedule)) {
+      if (!WEEKDAYS.includes(day)) return { schedule: `schedule has unknown day '${day}'; use ${WEEKDAYS.join(', ')}` };
+      if (slots === null) continue;
+      if (!Array.isArray(slots)) return { schedule: `schedule.${day} must be an array of { open, close } windows (empty = closed)` };
+      for (const slot of slots) {
+        if (!slot || parseTimeOfDay(slot.open) === null || parseTimeOfDay(slot.close) === null) {
+          return { schedule: `schedule.${day} has an invalid window; expected { open: "10:00 AM", close: "10:00 PM" }` };
+        }
+      }
     }
-    
-    const db = await getDb();
-    const { id } = req.params;
-    const { status } = req.body || {};
-    if (!status) return res.status(400).json({ error: 'Missing status' });
-    const { ObjectId } = require('mongodb');
+  }
+  if (holidays !== undefined && holidays !== null) {
+    if (!Array.isArray(holidays)) return { holidays: 'holidays must be an array of { date: "YYYY-MM-DD", reason }' };
+    for (const h of holidays) {
+      if (!h || typeof h.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(h.date)) {
+        return { holidays: 'holidays entries need a date in YYYY-MM-DD format' };
+      }
+    }
+  }
+  return null;
+}
 
-    // Build dual-ID filter to handle legacy string _id documents
-    const filters = [];
-    try { filters.push({ _id: new ObjectId(id) }); } catch (_) {}
-    filters.push({ _id: id });
+// campusId -> timezone, falling back to DEFAULT_CAMPUS_TIMEZONE
+async function campusTimezoneLookup(db, campusIds) {
+  const ids = Array.from(new Set(campusIds.filter(Boolean)));
+  const settings = ids.length
+    ? await db.collection('campusSettings').find({ campusId: { $in: ids } }, { projection: { campusId: 1, timezone: 1 } }).toArray()
+    : [];
+  const zones = new Map(settings.filter(s => s.timezone).map(s => [s.campusId, s.timezone]));
+  return campusId => zones.get(campusId) || DEFAULT_CAMPUS_TIMEZONE;
+}
+
+// =========================
+// Order pricing (server-side, authoritative)
+// =========================
+
+// Prices may be stored as BSON Double/Decimal128 or plain numbers
+function toNumber(value) {
+  if (value && typeof value.valueOf === 'function') return Number(value.valueOf());
+  return Number(value);
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// =========================
+// Delivery fee rules (campusSettings)
+// =========================
+// deliveryFeeMode      perPerson (default): unit charge x persons; perOrder: one charge per order
+// deliveryChargePerPerson / deliveryChargePerOrder  the unit charge for the mode
+// deliveryFeeTierBasis persons | itemTotal, with deliveryFeeTiers [{ from, charge }]: the tier
+//                      with the highest `from` not above the cart's value replaces the unit charge
+// freeDeliveryAbove    item total at or above which the base fee is waived
+// minimumOrderAmount   carts with a smaller item total cannot be ordered
+// lateNightSurcharge   { start, end, amount, perPerson } added between start and end (campus
+//                      time, may wrap past midnight); it applies even when delivery is free
+
+function isWithinLocalWindow(minutes, start, end) {
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// { deliveryCharge, breakdown } for a cart under a campus's settings
+function computeDeliveryFee(settings, { persons, itemTotal, now = new Date() }) {
+  const mode = settings.deliveryFeeMode || 'perPerson';
+  let unitCharge = toNumber(mode === 'perOrder' ? settings.deliveryChargePerOrder : settings.deliveryChargePerPerson) || 0;
+
+  let tier = null;
+  if (settings.deliveryFeeTierBasis && Array.isArray(settings.deliveryFeeTiers)) {
+    const basisValue = settings.deliveryFeeTierBasis === 'persons' ? persons : itemTotal;
+    for (const t of settings.deliveryFeeTiers) {
+      if (toNumber(t.from) <= basisValue && (!tier || toNumber(t.from) > toNumber(tier.from))) tier = t;
+    }
+    if (tier) unitCharge = toNumber(tier.charge);
+  }
+
+  let baseCharge = roundMoney(mode === 'perPerson' ? unitCharge * persons : unitCharge);
+  const freeDelivery = settings.freeDeliveryAbove !== undefined && settings.freeDeliveryAbove !== null &&
+    itemTotal >= toNumber(settings.freeDeliveryAbove);
+  if (freeDelivery) baseCharge = 0;
+
+  let lateNightSurcharge = 0;
+  const surcharge = settings.lateNightSurcharge;
+  if (surcharge) {
+    const start = parseTimeOfDay(surcharge.start);
+    const end = parseTimeOfDay(surcharge.end);
+    const local = zonedParts(now, settings.timezone || DEFAULT_CAMPUS_TIMEZONE);
+    if (start !== null && end !== null && isWithinLocalWindow(local.minutes, start, end)) {
+      lateNightSurcharge = roundMoney(toNumber(surcharge.amount) * (surcharge.perPerson ? persons : 1));
+    }
+  }
+
+  return {
+    deliveryCharge: roundMoney(baseCharge + lateNightSurcharge),
+    breakdown: {
+      mode,
+      unitCharge,
+      tier: tier ? { basis: settings.deliveryFeeTierBasis, from: toNumber(tier.from), charge: toNumber(tier.charge) } : null,
+      baseCharge,
+      freeDelivery,
+      lateNightSurcharge
+    }
+  };
+}
+
+// Validates and normalizes the delivery rule fields of a campus settings payload
+// (merged over the stored document). Returns { value } or { errors } ({ field: message }).
+function normalizeDeliveryRules(settings) {
+  const errors = {};
+  const value = {};
+  const mode = settings.deliveryFeeMode || 'perPerson';
+  const chargeField = mode === 'perOrder' ? 'deliveryChargePerOrder' : 'deliveryChargePerPerson';
+  if (settings[chargeField] === undefined || settings[chargeField] === null) {
+    errors[chargeField] = `${chargeField} is required when deliveryFeeMode is ${mode}`;
+  }
+
+  const tiers = settings.deliveryFeeTiers;
+  if (tiers !== undefined && tiers !== null) {
+    const valid = Array.isArray(tiers) && tiers.every(t => t && Number.isFinite(Number(t.from)) && Number(t.from) >= 0 &&
+      Number.isFinite(Number(t.charge)) && Number(t.charge) >= 0);
+    if (!valid) errors.deliveryFeeTiers = 'deliveryFeeTiers must be an array of { from, charge } with non-negative numbers';
+    else if (!settings.deliveryFeeTierBasis) errors.deliveryFeeTierBasis = 'deliveryFeeTierBasis is required with deliveryFeeTiers';
+    else value.deliveryFeeTiers = tiers.map(t => ({ from: Number(t.from), charge: Number(t.charge) })).sort((a, b) => a.from - b.from);
+  } else if (settings.deliveryFeeTierBasis) {
+    errors.deliveryFeeTiers = 'deliveryFeeTiers is required with deliveryFeeTierBasis';
+  }
+
+  const surcharge = settings.lateNightSurcharge;
+  if (surcharge !== undefined && surcharge !== null) {
+    if (typeof surcharge !== 'object' || Array.isArray(surcharge) ||
+      parseTimeOfDay(surcharge.start) === null || parseTimeOfDay(surcharge.end) === null) {
+      errors.lateNightSurcharge = 'lateNightSurcharge needs start and end times like "23:00" and "03:00"';
+    } else if (!(Number(surcharge.amount) > 0)) {
+      errors.lateNightSurcharge = 'lateNightSurcharge.amount must be greater than 0';
+    } else {
+      value.lateNightSurcharge = {
+        start: surcharge.start.trim(),
+        end: surcharge.end.trim(),
+        amount: Number(surcharge.amount),
+        perPerson: surcharge.perPerson === true
+      };
+    }
+  }
+
+  return Object.keys(errors).length ? { errors } : { value };
+}
+
+// Both ObjectId and legacy string _id candidates for a single id
+function idCandidates(id) {
+  const { ObjectId } = require('mongodb');
+  const candidates = [];
+  try { candidates.push(new ObjectId(id)); } catch (_) {}
+  candidates.push(String(id));
+  return candidates;
+}
+
+// Re-prices cart lines against menuItems/martItems and campusSettings.
+// Returns { errors } when any line is unknown, unavailable or malformed, with
+// `code` set when the campus has no settings or the cart is below its minimum.
+async function priceCart(db, { campusId, cartItems, persons }) {
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    return { errors: [{ index: null, error: 'cartItems must be a non-empty array' }] };
+  }
+
+  const personCount = persons === undefined || persons === null || persons === '' ? 1 : Number(persons);
+  if (!Number.isInteger(personCount) || personCount < 1) {
+    return { errors: [{ index: null, error: 'persons must be a positive integer' }] };
+  }
+
+  const errors = [];
+  const requested = cartItems.map((line, index) => {
+    const id = line && (line.id || line._id || line.itemId);
+    const quantity = Number(line?.quantity ?? 1);
+    if (!id) errors.push({ index, error: 'Cart item is missing an id' });
+    else if (!Number.isInteger(quantity) || quantity < 1) errors.push({ index, id: String(id), error: 'quantity must be a positive integer' });
+    return { index, id: id ? String(id) : null, quantity, type: line?.type === 'mart' || line?.isMart ? 'mart' : line?.type === 'menu' ? 'menu' : null };
+  });
+  if (errors.length) return { errors };
+
+  const allIds = requested.flatMap(r => idCandidates(r.id));
+  const [menuDocs, martDocs] = await Promise.all([
+    db.collection('menuItems').find({ _id: { $in: allIds } }).toArray(),
+    db.collection('martItems').find({ _id: { $in: allIds } }).toArray()
+  ]);
+  const menuById = new Map(menuDocs.map(d => [String(d._id), d]));
+  const martById = new Map(martDocs.map(d => [String(d._id), d]));
+
+  const restaurantIds = Array.from(new Set(menuDocs.map(d => d.restaurantId).filter(Boolean)));
+  const restaurantDocs = restaurantIds.length
+    ? await db.collection('restaurants').find({ _id: { $in: restaurantIds.flatMap(idCandidates) } }).toArray()
+    : [];
+  const restaurantById = new Map(restaurantDocs.map(r => [String(r._id), r]));
+
+  const settings = await db.collection('campusSettings').findOne({ campusId, deletedAt: null });
+  if (!settings) {
+    return { code: 'campusNotConfigured', errors: [{ index: null, error: 'Delivery is not configured for this campus yet' }] };
+  }
+  const timeZone = settings.timezone || DEFAULT_CAMPUS_TIMEZONE;
+  const now = new Date();
+  const openStates = new Map();
+
+  const lines = [];
+  for (const r of requested) {
+    const menuItem = r.type !== 'mart' ? menuById.get(r.id) : null;
+    const martItem = !menuItem && r.type !== 'menu' ? martById.get(r.id) : null;
+    const item = menuItem || martItem;
+    if (!item || item.deletedAt) {
+      errors.push({ index: r.index, id: r.id, error: 'Item not found' });
+      continue;
+    }
+    if (item.campusId !== campusId) {
+      errors.push({ index: r.index, id: r.id, error: 'Item does not belong to this campus' });
+      continue;
+    }
+    if (item.isAvailable === false) {
+      errors.push({ index: r.index, id: r.id, name: item.name, error: 'Item is currently unavailable' });
+      continue;
+    }
+    const price = toNumber(item.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      errors.push({ index: r.index, id: r.id, name: item.name, error: 'Item has no valid price' });
+      continue;
+    }
+
+    const line = {
+      id: r.id,
+      type: menuItem ? 'menu' : 'mart',
+      name: item.name,
+      price,
+      quantity: r.quantity,
+      lineTotal: roundMoney(price * r.quantity)
+    };
+    if (menuItem) {
+      const restaurant = restaurantById.get(String(menuItem.restaurantId));
+      if (!restaurant || restaurant.deletedAt) {
+        errors.push({ index: r.index, id: r.id, name: item.name, error: 'Restaurant not found' });
+        continue;
+      }
+      if (!openStates.has(menuItem.restaurantId)) {
+        openStates.set(menuItem.restaurantId, restaurantOpenState(restaurant, timeZone, now));
+      }
+      const openState = openStates.get(menuItem.restaurantId);
+      if (!openState.isOpenNow) {
+        errors.push({
+          index: r.index,
+          id: r.id,
+          name: item.name,
+          restaurantName: restaurant.name,
+          error: 'Restaurant is closed right now',
+          nextOpenAt: openState.nextOpenAt
+        });
+        continue;
+      }
+      line.restaurantId = menuItem.restaurantId;
+      line.restaurantName = restaurant?.name || null;
+    }
+    lines.push(line);
+  }
+  // Early, friendly stock check; the authoritative check is the atomic decrement in reserveMartStock
+  for (const [id, quantity] of martQuantities(lines)) {
+    const stock = martById.get(id)?.stock;
+    if (typeof stock === 'number' && stock < quantity) {
+      errors.push({ id, name: martById.get(id).name, error: stock > 0 ? `Only ${stock} left in stock` : 'Out of stock', available: Math.max(stock, 0) });
+    }
+  }
+  if (errors.length) return { errors };
+
+  const itemTotal = roundMoney(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+  const minimumOrderAmount = settings.minimumOrderAmount === undefined || settings.minimumOrderAmount === null
+    ? null
+    : toNumber(settings.minimumOrderAmount);
+  if (minimumOrderAmount !== null && itemTotal < minimumOrderAmount) {
+    return {
+      code: 'belowMinimum',
+      minimumOrderAmount,
+      itemTotal,
+      errors: [{ index: null, error: `Minimum order is Rs. ${minimumOrderAmount}` }]
+    };
+  }
+
+  const { deliveryCharge, breakdown } = computeDeliveryFee(settings, { persons: personCount, itemTotal, now });
+  return {
+    lines,
+    persons: personCount,
+    itemTotal,
+    deliveryCharge,
+    deliveryBreakdown: breakdown,
+    grandTotal: roundMoney(itemTotal + deliveryCharge)
+  };
+}
+
+// 409 when the campus cannot take orders yet, otherwise 400 for a failed priceCart result
+function sendPricingError(res, pricing) {
+  if (pricing.code === 'campusNotConfigured') {
+    return res.status(409).json({ error: pricing.errors[0].error });
+  }
+  if (pricing.code === 'belowMinimum') {
+    return sendBadRequest(res, { cartItems: pricing.errors[0].error }, {
+      minimumOrderAmount: pricing.minimumOrderAmount,
+      itemTotal: pricing.itemTotal
+    });
+  }
+  return sendBadRequest(res, { cartItems: 'Some cart items cannot be ordered' }, { items: pricing.errors });
+}
+
+// =========================
+// Mart stock
+// =========================
+
+// Total quantity per mart item id (the same item may appear on several lines)
+function martQuantities(lines) {
+  const totals = new Map();
+  for (const l of lines) {
+    if (l.type === 'mart') totals.set(l.id, (totals.get(l.id) || 0) + l.quantity);
+  }
+  return totals;
+}
+
+// Atomically decrements stock for every mart line. Items without a numeric
+// `stock` are untracked and never limited. On any shortage the decrements
+// already made are rolled back and { shortages } is returned.
+async function reserveMartStock(db, lines) {
+  const reserved = [];
+  const shortages = [];
+  for (const [id, quantity] of martQuantities(lines)) {
+    const item = await db.collection('martItems').findOne({ _id: { $in: idCandidates(id) } }, { projection: { name: 1, stock: 1 } });
+    if (!item || typeof item.stock !== 'number') continue;
+    const upd = await db.collection('martItems').updateOne(
+      { _id: item._id, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity }, $set: { updatedAt: new Date() } }
+    );
+    if (upd.modifiedCount === 1) {
+      reserved.push({ id, quantity });
+    } else {
+      const fresh = await db.collection('martItems').findOne({ _id: item._id }, { projection: { stock: 1 } });
+      const available = Math.max(Number(fresh?.stock) || 0, 0);
+      shortages.push({ id, name: item.name, error: available > 0 ? `Only ${available} left in stock` : 'Out of stock', available });
+    }
+  }
+  if (shortages.length) {
+    await releaseMartStock(db, reserved);
+    return { shortages };
+  }
+  return { reserved };
+}
+
+// Gives reserved quantities back (order cancelled or failed to save)
+async function releaseMartStock(db, reserved) {
+  for (const { id, quantity } of reserved || []) {
+    try {
+      await db.collection('martItems').updateOne(
+        { _id: { $in: idCandidates(id) }, stock: { $type: 'number' } },
+        { $inc: { stock: quantity }, $set: { updatedAt: new Date() } }
+      );
+    } catch (err) {
+      console.error('Failed to restore mart stock for', id, err.message);
+    }
+  }
+}
+
+// Restores an order's reserved stock exactly once, however many times it is cancelled
+async function restoreOrderStock(db, order) {
+  if (!Array.isArray(order.stockReservations) || order.stockReservations.length === 0) return;
+  const claim = await db.collection('orders').updateOne(
+    { _id: order._id, stockReleasedAt: null },
+    { $set: { stockReleasedAt: new Date() } }
+  );
+  if (claim.modifiedCount === 1) await releaseMartStock(db, order.stockReservations);
+}
+
+// Human-readable cart summary stored on the order (exports and sheet rows read it).
+// Always built from server-priced lines so a client cannot rename or reprice items in it.
+function describeCartLines(lines) {
+  return lines.map(l => `${l.name} x${l.quantity} = Rs. ${l.lineTotal}`).join(', ');
+}
+
+// Compares client-submitted totals with the server-computed ones.
+// Totals the client did not send are not checked.
+function findTotalMismatches(submitted, computed) {
+  return ['itemTotal', 'deliveryCharge', 'discount', 'grandTotal'].filter(k => {
+    const value = submitted[k];
+    if (value === undefined || value === null || value === '') return false;
+    return Math.abs(Number(value) - (computed[k] || 0)) > 0.009;
+  });
+}
+
+// =========================
+// Promo codes
+// =========================
+// A code is scoped to one campus, optionally narrowed to one restaurant (then only that
+// restaurant's lines count toward the minimum and the discount). `usedCount` is claimed
+// atomically when an order is placed and given back when the order is cancelled.
+
+function normalizePromoCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Field errors for a promo code's discount settings after create/update ({} when valid)
+function promoRuleErrors(promo) {
+  const errors = {};
+  if (promo.discountType === 'percent' && !(promo.value > 0 && promo.value <= 100)) {
+    errors.value = 'value must be a percentage between 0 and 100';
+  }
+  if (promo.discountType === 'flat' && !(promo.value > 0)) errors.value = 'value must be greater than 0';
+  if (promo.startsAt && promo.endsAt && new Date(promo.endsAt) <= new Date(promo.startsAt)) {
+    errors.endsAt = 'endsAt must be after startsAt';
+  }
+  return errors;
+}
+
+// Item subtotal the promo applies to (all lines, or only its restaurant's)
+function promoEligibleSubtotal(promo, lines) {
+  const eligible = promo.restaurantId ? lines.filter(l => String(l.restaurantId) === String(promo.restaurantId)) : lines;
+  return roundMoney(eligible.reduce((sum, l) => sum + l.lineTotal, 0));
+}
+
+// Discount for a priced cart: { itemDiscount, deliveryDiscount }
+function promoDiscount(promo, pricing) {
+  const subtotal = promoEligibleSubtotal(promo, pricing.lines);
+  if (promo.discountType === 'freeDelivery') return { itemDiscount: 0, deliveryDiscount: pricing.deliveryCharge };
+  let itemDiscount = promo.discountType === 'percent' ? subtotal * toNumber(promo.value) / 100 : toNumber(promo.value);
+  if (Number.isFinite(toNumber(promo.maxDiscount))) itemDiscount = Math.min(itemDiscount, toNumber(promo.maxDiscount));
+  return { itemDiscount: roundMoney(Math.min(Math.max(itemDiscount, 0), subtotal)), deliveryDiscount: 0 };
+}
+
+/*
+ Looks up `code` for a priced cart on `campusId` and checks every rule except the atomic
+ usage claims (claimPromoUse, claimPromoUserUse). Returns { promo, pricing } with the
+ discounted pricing, or { error }.
+*/
+async function applyPromoCode(db, { code, campusId, userId, pricing, now = new Date() }) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) return { error: 'Promo code is required' };
+  const promo = await db.collection('promoCodes').findOne({ code: normalized });
+  if (!promo || promo.isActive === false) return { error: 'Promo code is not valid' };
+  if (promo.campusId !== campusId) return { error: 'Promo code is not valid on this campus' };
+  if (promo.startsAt && now < new Date(promo.startsAt)) return { error: 'Promo code is not active yet' };
+  if (promo.endsAt && now >= new Date(promo.endsAt)) return { error: 'Promo code has expired' };
+  if (typeof promo.maxUses === 'number' && (promo.usedCount || 0) >= promo.maxUses) {
+    return { error: 'Promo code has reached its usage limit' };
+  }
+
+  const subtotal = promoEligibleSubtotal(promo, pricing.lines);
+  if (promo.restaurantId && subtotal === 0) return { error: 'Promo code does not apply to any item in your cart' };
+  if (typeof promo.minOrderValue === 'number' && subtotal < promo.minOrderValue) {
+    return { error: `Promo code requires a minimum order of Rs. ${promo.minOrderValue}` };
+  }
+
+  if (typeof promo.maxUsesPerUser === 'number') {
+    if (!userId) return { error: 'Sign in to use this promo code' };
+    const used = await db.collection('orders').countDocuments({
+      'promo.promoId': String(promo._id),
+      userId,
+      status: { $ne: 'cancelled' }
+    });
+    if (used >= promo.maxUsesPerUser) return { error: 'You have already used this promo code' };
+  }
+
+  const { itemDiscount, deliveryDiscount } = promoDiscount(promo, pricing);
+  const discount = roundMoney(itemDiscount + deliveryDiscount);
+  return {
+    promo,
+    pricing: {
+      ...pricing,
+      discount,
+      grandTotal: roundMoney(pricing.itemTotal + pricing.deliveryCharge - discount),
+      promo: {
+        promoId: String(promo._id),
+        code: promo.code,
+        discountType: promo.discountType,
+        value: promo.value ?? null,
+        itemDiscount,
+        deliveryDiscount
+      }
+    }
+  };
+}
+
+// Atomically takes one use of a promo; false when the total cap was reached meanwhile
+async function claimPromoUse(db, promo) {
+  const upd = await db.collection('promoCodes').updateOne(
+    {
+      _id: promo._id,
+      isActive: { $ne: false },
+      $or: [{ maxUses: null }, { $expr: { $lt: [{ $ifNull: ['$usedCount', 0] }, '$maxUses'] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  return upd.modifiedCount === 1;
+}
+
+// Per-user counters for maxUsesPerUser live in `promoUserUses`, one document per promo and user
+function promoUserUseId(promoId, userId) {
+  return `${promoId}:${userId}`;
+}
+
+// Atomically takes one of the user's uses of a promo; false when maxUsesPerUser was reached meanwhile.
+// The first claim seeds the counter from the user's existing (non-cancelled) orders.
+async function claimPromoUserUse(db, promo, userId) {
+  const uses = db.collection('promoUserUses');
+  const _id = promoUserUseId(promo._id, userId);
+  if (!(await uses.findOne({ _id }, { projection: { _id: 1 } }))) {
+    const used = await db.collection('orders').countDocuments({
+      'promo.promoId': String(promo._id),
+      userId,
+      status: { $ne: 'cancelled' }
+    });
+    try {
+      await uses.insertOne({ _id, promoId: String(promo._id), userId, count: used });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  const upd = await uses.updateOne({ _id, count: { $lt: promo.maxUsesPerUser } }, { $inc: { count: 1 } });
+  return upd.modifiedCount === 1;
+}
+
+// Gives back one use of a promo, and the user's use when `userId` is known
+async function releasePromoUse(db, promoId, userId) {
+  try {
+    await db.collection('promoCodes').updateOne(
+      { _id: { $in: idCandidates(promoId) }, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    if (userId) {
+      await db.collection('promoUserUses').updateOne(
+        { _id: promoUserUseId(promoId, userId), count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+      );
+    }
+  } catch (err) {
+    console.error('Failed to release promo code use for', promoId, err.message);
+  }
+}
+
+// Gives a cancelled order's promo use back exactly once
+async function releaseOrderPromo(db, order) {
+  if (!order.promo?.promoId) return;
+  const claim = await db.collection('orders').updateOne(
+    { _id: order._id, 'promo.releasedAt': null },
+    { $set: { 'promo.releasedAt': new Date() } }
+  );
+  if (claim.modifiedCount === 1) await releasePromoUse(db, order.promo.promoId, order.userId);
+}
+
+// =========================
+// Delivery slots
+// =========================
+// campusSettings.deliverySlots holds the recurring runs of a campus, e.g.
+//   { id: 'lunch', label: 'Lunch run', deliverAt: '13:00', cutoff: '11:30', days: ['mon', ...],
+//     maxOrders: 40, maxPersons: 60, isActive: true }
+// Times are campus-local. A slot on a given date is open until its cutoff and while it has
+// room; `deliverySlotBookings` counts orders/persons per campus, slot and date.
+const SLOT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLOT_BOOKING_RETENTION_DAYS = 7;
+
+// Validates and normalizes a deliverySlots payload. Returns { value } or { errors } ({ field: message }).
+function normalizeDeliverySlots(slots) {
+  if (!Array.isArray(slots)) return { errors: { deliverySlots: 'deliverySlots must be an array' } };
+  const seen = new Set();
+  const value = [];
+  for (const [i, slot] of slots.entries()) {
+    const field = `deliverySlots[${i}]`;
+    if (!slot || typeof slot !== 'object') return { errors: { [field]: 'must be an object' } };
+    const id = typeof slot.id === 'string' ? slot.id.trim() : '';
+    if (!/^[a-z0-9_-]{1,40}$/i.test(id)) return { errors: { [`${field}.id`]: 'id must be 1-40 letters, digits, - or _' } };
+    if (seen.has(id)) return { errors: { [`${field}.id`]: `duplicate slot id '${id}'` } };
+    seen.add(id);
+    const deliverAt = parseTimeOfDay(slot.deliverAt);
+    const cutoff = parseTimeOfDay(slot.cutoff);
+    if (deliverAt === null) return { errors: { [`${field}.deliverAt`]: 'deliverAt must be a time like "13:00"' } };
+    if (cutoff === null) return { errors: { [`${field}.cutoff`]: 'cutoff must be a time like "11:30"' } };
+    if (cutoff > deliverAt) return { errors: { [`${field}.cutoff`]: 'cutoff must not be later than deliverAt on the same day' } };
+    const days = slot.days === undefined || slot.days === null ? null : slot.days;
+    if (days !== null && (!Array.isArray(days) || days.length === 0 || !days.every(d => WEEKDAYS.includes(d)))) {
+      return { errors: { [`${field}.days`]: `days must be a non-empty list of ${WEEKDAYS.join(', ')}` } };
+    }
+    for (const cap of ['maxOrders', 'maxPersons']) {
+      if (slot[cap] !== undefined && slot[cap] !== null && !(Number.isInteger(Number(slot[cap])) && Number(slot[cap]) >= 1)) {
+        return { errors: { [`${field}.${cap}`]: `${cap} must be a whole number of at least 1` } };
+      }
+    }
+    value.push({
+      id,
+      label: typeof slot.label === 'string' && slot.label.trim() ? slot.label.trim() : id,
+      deliverAt: slot.deliverAt.trim(),
+      cutoff: slot.cutoff.trim(),
+      days,
+      maxOrders: slot.maxOrders === undefined || slot.maxOrders === null ? null : Number(slot.maxOrders),
+      maxPersons: slot.maxPersons === undefined || slot.maxPersons === null ? null : Number(slot.maxPersons),
+      isActive: slot.isActive !== false
+    });
+  }
+  return { value };
+}
+
+function campusToday(settings, now = new Date()) {
+  const local = zonedParts(now, settings.timezone || DEFAULT_CAMPUS_TIMEZONE);
+  return localDateKey(local.year, local.month, local.day);
+}
+
+// Active slots running on `date` (YYYY-MM-DD), with their UTC deliverAt/cutoffAt instants
+function slotsForDate(settings, date) {
+  const timeZone = settings.timezone || DEFAULT_CAMPUS_TIMEZONE;
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  return (settings.deliverySlots || [])
+    .filter(slot => slot.isActive !== false && (!slot.days || slot.days.includes(weekday)))
+    .map(slot => ({
+      ...slot,
+      date,
+      deliverAtUtc: zonedTimeToUtc(year, month, day, parseTimeOfDay(slot.deliverAt), timeZone),
+      cutoffAt: zonedTimeToUtc(year, month, day, parseTimeOfDay(slot.cutoff), timeZone)
+    }));
+}
+
+function slotBookingId(campusId, slotId, date) {
+  return `${campusId}:${slotId}:${date}`;
+}
+
+// Slot instances for a date with their remaining capacity and whether they still take orders
+async function slotAvailability(db, settings, date, now = new Date()) {
+  const slots = slotsForDate(settings, date);
+  const bookings = slots.length
+    ? await db.collection('deliverySlotBookings').find({ _id: { $in: slots.map(x => slotBookingId(settings.campusId, x.id, date)) } }).toArray()
+    : [];
+  const byId = new Map(bookings.map(b => [b._id, b]));
+  return slots.map(slot => {
+    const booking = byId.get(slotBookingId(settings.campusId, slot.id, date)) || { orders: 0, persons: 0 };
+    const remainingOrders = slot.maxOrders === null ? null : Math.max(slot.maxOrders - booking.orders, 0);
+    const remainingPersons = slot.maxPersons === null ? null : Math.max(slot.maxPersons - booking.persons, 0);
+    return {
+      id: slot.id,
+      label: slot.label,
+      date,
+      deliverAt: slot.deliverAtUtc.toISOString(),
+      cutoffAt: slot.cutoffAt.toISOString(),
+      maxOrders: slot.maxOrders,
+      maxPersons: slot.maxPersons,
+      bookedOrders: booking.orders,
+      bookedPersons: booking.persons,
+      remainingOrders,
+      remainingPersons,
+      isOpen: now < slot.cutoffAt && remainingOrders !== 0 && remainingPersons !== 0
+    };
+  });
+}
+
+// Finds the slot an order asked for. Returns { slot } or { error } (field message).
+function resolveDeliverySlot(settings, { slotId, date, persons, now = new Date() }) {
+  if (!slotId) return { error: 'Choose a delivery slot' };
+  const day = date || campusToday(settings, now);
+  if (!SLOT_DATE_PATTERN.test(day)) return { error: 'deliveryDate must be in YYYY-MM-DD format' };
+  const slot = slotsForDate(settings, day).find(x => x.id === String(slotId));
+  if (!slot) return { error: 'Delivery slot is not available on that date' };
+  if (now >= slot.cutoffAt) return { error: `Orders for ${slot.label} closed at ${slot.cutoff}` };
+  if (slot.maxPersons !== null && persons > slot.maxPersons) return { error: `${slot.label} can take at most ${slot.maxPersons} persons` };
+  return { slot };
+}
+
+// Atomically books one order (and its persons) into a slot; false when it is full.
+// Full bookings make the upsert collide with the existing counter (duplicate key).
+async function claimDeliverySlot(db, campusId, slot, persons) {
+  const filter = { _id: slotBookingId(campusId, slot.id, slot.date) };
+  if (slot.maxOrders !== null) filter.orders = { $lt: slot.maxOrders };
+  if (slot.maxPersons !== null) filter.persons = { $lte: slot.maxPersons - persons };
+  const expiresAt = new Date(slot.deliverAtUtc.getTime() + SLOT_BOOKING_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    await db.collection('deliverySlotBookings').updateOne(
+      filter,
+      { $inc: { orders: 1, persons }, $set: { campusId, slotId: slot.id, date: slot.date, expiresAt } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+async function releaseDeliverySlot(db, campusId, slotId, date, persons) {
+  try {
+    await db.collection('deliverySlotBookings').updateOne(
+      { _id: slotBookingId(campusId, slotId, date), orders: { $gt: 0 } },
+      { $inc: { orders: -1, persons: -persons } }
+    );
+  } catch (err) {
+    console.error('Failed to release delivery slot', slotId, date, err.message);
+  }
+}
+
+// Frees a cancelled order's slot capacity exactly once
+async function releaseOrderSlot(db, order) {
+  if (!order.deliverySlot?.id) return;
+  const claim = await db.collection('orders').updateOne(
+    { _id: order._id, 'deliverySlot.releasedAt': null },
+    { $set: { 'deliverySlot.releasedAt': new Date() } }
+  );
+  if (claim.modifiedCount === 1) {
+    await releaseDeliverySlot(db, order.campusId, order.deliverySlot.id, order.deliverySlot.date, Number(order.persons) || 1);
+  }
+}
+
+// =========================
+// Order status state machine
+// =========================
+
+// Must stay in sync with the orders validator in scripts/initMongo.js
+const ORDER_STATUSES = ['pending', 'accepted', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled'];
+
+// from -> to -> roles allowed to make that change
+const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    accepted: ['campusAdmin', 'restaurantManager'],
+    cancelled: ['campusAdmin', 'restaurantManager', 'user']
+  },
+  accepted: {
+    preparing: ['campusAdmin', 'restaurantManager'],
+    cancelled: ['campusAdmin', 'restaurantManager']
+  },
+  preparing: {
+    ready: ['campusAdmin', 'restaurantManager'],
+    cancelled: ['campusAdmin']
+  },
+  ready: {
+    'out-for-delivery': ['campusAdmin', 'rider'], // Rider: picked up
+    cancelled: ['campusAdmin']
+  },
+  'out-for-delivery': {
+    delivered: ['campusAdmin', 'rider']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// Statuses an order cannot reach until its bank transfer has been verified
+const PAYMENT_GATED_STATUSES = ['preparing', 'ready', 'out-for-delivery', 'delivered'];
+
+// Returns null when allowed, otherwise { code, error, allowed }
+function checkStatusTransition(from, to, role) {
+  const targets = ORDER_STATUS_TRANSITIONS[from] || {};
+  const allowedForRole = Object.keys(targets).filter(next => targets[next].includes(role));
+  if (!(to in targets)) {
+    return {
+      code: 409,
+      error: Object.keys(targets).length
+        ? `Cannot change order status from '${from}' to '${to}'`
+        : `Order is already '${from}' and can no longer change status`,
+      allowed: allowedForRole
+    };
+  }
+  if (!targets[to].includes(role)) {
+    return { code: 403, error: `Your role cannot change order status from '${from}' to '${to}'`, allowed: allowedForRole };
+  }
+  return null;
+}
+
+function statusHistoryEntry(req, from, to, note) {
+  return {
+    from,
+    to,
+    changedBy: {
+      uid: req.user?.uid || null,
+      email: req.userProfile?.email || req.user?.email || null,
+      role: req.userProfile?.role || null
+    },
+    changedAt: new Date(),
+    note: typeof note === 'string' && note.trim() ? note.trim() : null
+  };
+}
+
+// Order visibility per role; null means the role has no order access.
+// Customers (role `user`) only ever see orders they placed themselves.
+function orderAccessFilter(profile, uid) {
+  if (isSuperAdmin(profile)) return {};
+  if (profile?.role === 'user') return uid ? { userId: uid } : null;
+  if (profile?.role === 'rider') return uid ? { 'rider.uid': uid } : null;
+  if (isCampusAdmin(profile)) return { campusId: profile.campusId };
+  if (isRestaurantManager(profile)) {
+    const byRestaurant = [{ 'cartItemsArray.restaurantId': profile.restaurantId }];
+    if (profile.restaurantName) byRestaurant.push({ restaurantNames: profile.restaurantName });
+    return { $or: byRestaurant };
+  }
+  return null;
+}
+
+// Restaurant manager's view of an order: only their own cart lines and subtotal
+function restaurantOrderView(order, restaurantId, restaurantName) {
+  // Handle orders with cartItemsArray (new format)
+  if (Array.isArray(order.cartItemsArray) && order.cartItemsArray.length > 0) {
+    const restaurantItems = order.cartItemsArray.filter(item => 
+      item.restaurantId === restaurantId || item.restaurantName === restaurantName
+    );
+    
+    return {
+      ...order,
+      cartItems: restaurantItems,
+      // Recalculate itemsTotal for just this restaurant's items
+      itemsTotal: restaurantItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+    };
+  }
+  
+  // Handle legacy orders with only cartItems string
+  return {
+    ...order,
+    cartItems: order.cartItems,
+    itemsTotal: order.itemTotal || 0
+  };
+}
+
+// Validates and applies a status change to an already-loaded order.
+// `actingRole` overrides the caller's role for the transition check; `extraSet` holds
+// fields written in the same update (e.g. rider pickup/delivery details).
+// Returns { code, body } on refusal, otherwise { order } with the updated document.
+async function changeOrderStatus(db, req, existing, status, note, actingRole = req.userProfile.role, extraSet = {}) {
+  const currentStatus = existing.status || 'pending';
+  const denial = checkStatusTransition(currentStatus, status, actingRole);
+  if (denial) return { code: denial.code, body: { error: denial.error, currentStatus, allowed: denial.allowed } };
+  // Orders created before payment verification existed have no paymentStatus and are not gated
+  if (PAYMENT_GATED_STATUSES.includes(status) && existing.paymentStatus && existing.paymentStatus !== 'verified') {
+    return {
+      code: 409,
+      body: {
+        error: `Payment must be verified before the order can move to '${status}'`,
+        currentStatus,
+        paymentStatus: existing.paymentStatus
+      }
+    };
+  }
+
+  const entry = statusHistoryEntry(req, currentStatus, status, note);
+  // Match on the status we validated against so concurrent updates cannot both apply
+  const upd = await db.collection('orders').updateOne(
+    { _id: existing._id, status: existing.status ?? null },
+    { $set: { ...extraSet, status, updatedAt: entry.changedAt }, $push: { statusHistory: entry } }
+  );
+  if (upd.matchedCount === 0) {
+    return { code: 409, body: { error: 'Order status changed while updating. Please refresh and try again.' } };
+  }
+
+  await writeAuditLog(req, {
+    action: 'order.statusChange',
+    targetType: 'order',
+    targetId: existing._id,
+    before: { status: currentStatus },
+    after: { status },
+    campusId: existing.campusId,
+    meta: entry.note ? { note: entry.note } : null
+  });
+
+  if (status === 'cancelled') {
+    await restoreOrderStock(db, existing);
+    await releaseOrderPromo(db, existing);
+    await releaseOrderSlot(db, existing);
+  }
+
+  const order = await db.collection('orders').findOne({ _id: existing._id });
+  if (!order) return { code: 404, body: { error: 'Order not found after update' } };
+  publishOrderEvent('order.statusChanged', order, { from: currentStatus, to: status, note: entry.note });
+  return { order };
+}
+
+// =========================
+// Real-time order events (Server-Sent Events)
+// =========================
+
+// In-process only: every subscriber must be connected to the instance that
+// handled the write. Swap for a shared pub/sub if the API is scaled out.
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0);
+
+const SSE_HEARTBEAT_MS = 25000;
+
+function publishOrderEvent(type, order, change = null) {
+  orderEvents.emit('order', { type, order, change, at: new Date().toISOString() });
+}
+
+// In-memory mirror of orderAccessFilter for events that never hit Mongo
+function orderMatchesScope(order, profile, uid) {
+  if (isSuperAdmin(profile)) return true;
+  if (profile?.role === 'user') return !!uid && order.userId === uid;
+  if (profile?.role === 'rider') return !!uid && order.rider?.uid === uid;
+  if (isCampusAdmin(profile)) return order.campusId === profile.campusId;
+  if (isRestaurantManager(profile)) {
+    const lines = Array.isArray(order.cartItemsArray) ? order.cartItemsArray : [];
+    return lines.some(l => l.restaurantId === profile.restaurantId) ||
+      (!!profile.restaurantName && Array.isArray(order.restaurantNames) && order.restaurantNames.includes(profile.restaurantName));
+  }
+  return false;
+}
+
+// EventSource cannot send headers, so stream routes also accept ?token=<idToken>
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string' && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Opens an SSE response and subscribes `onEvent` to order events until the client disconnects
+function openOrderStream(req, res, onEvent) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx/Railway)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const listener = evt => {
+    try {
+      onEvent(evt, send);
+    } catch (err) {
+      console.error('Order stream send failed:', err.message);
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  orderEvents.on('order', listener);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    orderEvents.off('order', listener);
+  });
+  return send;
+}
+
+// =========================
+// Order notifications (FCM push + email through a persisted outbox)
+// =========================
+// Order events are turned into messages in `notificationOutbox` and delivered by a
+// background worker, so a slow or failing transport never holds up the order request.
+// Failed sends are retried with exponential backoff up to NOTIFICATION_MAX_ATTEMPTS.
+// Transports are pluggable per channel:
+//   PUSH_TRANSPORT   fcm (default with Firebase credentials) | local | none
+//   EMAIL_TRANSPORT  webhook (default with EMAIL_WEBHOOK_URL: POSTs { from, to, subject, text }) | local | none
+// The `local` transport only logs and keeps recent messages in memory
+// (GET /api/notifications/local) for offline development and tests.
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const NOTIFICATION_RETRY_BASE_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS) || 30000;
+const NOTIFICATION_POLL_MS = Number(process.env.NOTIFICATION_POLL_MS) || 5000;
+const NOTIFICATION_LOCK_MS = 60000; // A claimed message is retried after this if its worker died
+const NOTIFICATION_RETENTION_DAYS = 30;
+const FCM_STALE_TOKEN_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Transport interface: send(message) resolves when delivered and throws otherwise;
+// errors with `permanent: true` are not retried
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function createFcmPushTransport() {
+  return {
+    name: 'fcm',
+    async send(message) {
+      const db = await getDb();
+      const devices = await db.collection('deviceTokens').find({ uid: message.recipient.uid }).toArray();
+      if (!devices.length) return { skipped: 'No registered devices' };
+      const tokens = devices.map(d => d._id);
+      // FCM data values must be strings
+      const data = Object.fromEntries(Object.entries(message.data || {}).map(([k, v]) => [k, String(v)]));
+      const result = await admin.messaging().sendEachForMulticast({
+        tokens,
+        notification: { title: message.title, body: message.body },
+        data
+      });
+      const stale = result.responses
+        .map((r, i) => (r.error && FCM_STALE_TOKEN_CODES.includes(r.error.code) ? tokens[i] : null))
+        .filter(Boolean);
+      if (stale.length) await db.collection('deviceTokens').deleteMany({ _id: { $in: stale } });
+      if (result.successCount === 0 && stale.length < tokens.length) {
+        const first = result.responses.find(r => r.error);
+        throw new Error(first?.error?.message || 'FCM rejected every device');
+      }
+      return { delivered: result.successCount };
+    }
+  };
+}
+
+function createWebhookEmailTransport(url) {
+  return {
+    name: 'webhook',
+    async send(message) {
+      try {
+        await axios.post(url, {
+          from: process.env.EMAIL_FROM || null,
+          to: message.recipient.email,
+          subject: message.title,
+          text: message.body
+        }, {
+          timeout: 10000,
+          headers: process.env.EMAIL_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.EMAIL_WEBHOOK_TOKEN}` } : {}
+        });
+        return { delivered: 1 };
+      } catch (err) {
+        const status = err.response?.status;
+        // Other 4xx answers mean the request itself is wrong; retrying will not help
+        if (status && status >= 400 && status < 500 && status !== 429) throw permanentError(`Email webhook answered ${status}`);
+        throw err;
+      }
+    }
+  };
+}
+
+const localNotifications = [];
+function createLocalTransport(channel) {
+  return {
+    name: 'local',
+    async send(message) {
+      const entry = { channel, to: message.recipient, title: message.title, body: message.body, data: message.data, sentAt: new Date() };
+      localNotifications.unshift(entry);
+      localNotifications.length = Math.min(localNotifications.length, 200);
+      console.log(`📣 [${channel}] ${message.recipient.email || message.recipient.uid}: ${message.title} - ${message.body}`);
+      return { delivered: 1 };
+    }
+  };
+}
+
+function selectTransport(channel, setting, defaults) {
+  const choice = setting || defaults;
+  if (choice === 'none') return null;
+  if (choice === 'local') return createLocalTransport(channel);
+  if (channel === 'push' && choice === 'fcm') {
+    if (admin.apps.length) return createFcmPushTransport();
+    console.warn('⚠️ PUSH_TRANSPORT=fcm needs Firebase Admin credentials; push notifications are disabled.');
+    return null;
+  }
+  if (channel === 'email' && choice === 'webhook') {
+    if (process.env.EMAIL_WEBHOOK_URL) return createWebhookEmailTransport(process.env.EMAIL_WEBHOOK_URL);
+    console.warn('⚠️ EMAIL_TRANSPORT=webhook needs EMAIL_WEBHOOK_URL; email notifications are disabled.');
+    return null;
+  }
+  console.error(`❌ Unknown ${channel} transport "${choice}"; ${channel} notifications are disabled.`);
+  return null;
+}
+
+const notificationTransports = {
+  push: selectTransport('push', process.env.PUSH_TRANSPORT, admin.apps.length ? 'fcm' : 'none'),
+  email: selectTransport('email', process.env.EMAIL_TRANSPORT, process.env.EMAIL_WEBHOOK_URL ? 'webhook' : 'none')
+};
+
+// Customer-facing text per status
+const ORDER_STATUS_MESSAGES = {
+  accepted: 'Your order has been accepted',
+  preparing: 'Your order is being prepared',
+  ready: 'Your order is ready',
+  'out-for-delivery': 'Your order is on its way',
+  delivered: 'Your order has been delivered',
+  cancelled: 'Your order was cancelled'
+};
+
+function orderReference(order) {
+  return `#${String(order._id).slice(-6).toUpperCase()}`;
+}
+
+// Outbox messages ({ channel, recipient, title, body }) for an order event
+async function orderNotificationMessages({ type, order, change }) {
+  const ref = orderReference(order);
+  const messages = [];
+  const notifyCustomer = (title, body) => {
+    if (order.userId) messages.push({ channel: 'push', recipient: { uid: order.userId, role: 'customer' }, title, body });
+    if (order.email) messages.push({ channel: 'email', recipient: { uid: order.userId || null, email: order.email, role: 'customer' }, title, body });
+  };
+  const restaurantManagers = async () => {
+    const restaurantIds = new Set((order.cartItemsArray || []).map(l => String(l.restaurantId)).filter(Boolean));
+    if (!restaurantIds.size || !order.campusId) return [];
+    const managers = await findUserProfiles({ role: 'restaurantManager', campusId: order.campusId });
+    return managers.filter(m => m.isActive !== false && restaurantIds.has(String(m.restaurantId)));
+  };
+
+  if (type === 'order.created') {
+    const thanks = order.firstName ? `Thanks ${order.firstName}!` : 'Thanks!';
+    notifyCustomer(`Order ${ref} received`, `${thanks} We have received your order of Rs. ${order.grandTotal}.`);
+    for (const m of await restaurantManagers()) {
+      const title = `New order ${ref}`;
+      const body = `${order.campusName || 'Campus'} order for ${order.persons || 1} person(s) is waiting for you.`;
+      messages.push({ channel: 'push', recipient: { uid: m.uid, role: m.role }, title, body });
+      if (m.email) messages.push({ channel: 'email', recipient: { uid: m.uid, email: m.email, role: m.role }, title, body });
+    }
+    if (order.campusId) {
+      const admins = await findUserProfiles({ role: 'campusAdmin', campusId: order.campusId });
+      admins.filter(a => a.isActive !== false).forEach(a => messages.push({
+        channel: 'push',
+        recipient: { uid: a.uid, role: a.role },
+        title: `New order ${ref}`,
+        body: `Rs. ${order.grandTotal} from ${order.firstName || 'a customer'}${order.room ? `, ${order.room}` : ''}`
+      }));
+    }
+  } else if (type === 'order.statusChanged' && ORDER_STATUS_MESSAGES[change?.to]) {
+    const note = change.note ? ` (${change.note})` : '';
+    notifyCustomer(`Order ${ref}: ${change.to.replace(/-/g, ' ')}`, `${ORDER_STATUS_MESSAGES[change.to]}${note}.`);
+    if (change.to === 'cancelled') {
+      for (const m of await restaurantManagers()) {
+        messages.push({ channel: 'push', recipient: { uid: m.uid, role: m.role }, title: `Order ${ref} cancelled`, body: `Order ${ref} was cancelled${note}.` });
+      }
+    }
+  } else if (type === 'order.riderAssigned' && order.rider?.uid) {
+    messages.push({
+      channel: 'push',
+      recipient: { uid: order.rider.uid, role: 'rider' },
+      title: `Delivery ${ref} assigned`,
+      body: `${order.firstName || 'Customer'}${order.room ? `, ${order.room}` : ''} - ${order.persons || 1} person(s)`
+    });
+  }
+  return messages;
+}
+
+// Writes the event's messages for every channel that has a transport, then wakes the worker
+async function enqueueOrderNotifications(evt) {
+  const messages = (await orderNotificationMessages(evt)).filter(m => notificationTransports[m.channel]);
+  if (!messages.length) return;
+  const db = await getDb();
+  const now = new Date();
+  await db.collection('notificationOutbox').insertMany(messages.map(m => ({
+    ...m,
+    event: evt.type,
+    orderId: String(evt.order._id),
+    data: { type: evt.type, orderId: String(evt.order._id), status: evt.order.status || 'pending' },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    sentAt: null,
+    expiresAt: null
+  })));
+  setImmediate(drainNotificationOutbox);
+}
+
+orderEvents.on('order', evt => {
+  enqueueOrderNotifications(evt).catch(err => console.error('Failed to queue notifications for', evt.type, err.message));
+});
+
+// Takes the next due message; the claim pushes nextAttemptAt out so a crashed worker's
+// message becomes due again after NOTIFICATION_LOCK_MS
+async function claimNextNotification(db) {
+  const now = new Date();
+  const result = await db.collection('notificationOutbox').findOneAndUpdate(
+    { status: { $in: ['pending', 'sending'] }, nextAttemptAt: { $lte: now } },
+    { $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + NOTIFICATION_LOCK_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after', includeResultMetadata: true }
+  );
+  return result.value;
+}
+
+async function deliverNotification(db, message) {
+  const transport = notificationTransports[message.channel];
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    if (!transport) throw permanentError(`No ${message.channel} transport configured`);
+    const outcome = await transport.send(message);
+    await db.collection('notificationOutbox').updateOne(
+      { _id: message._id },
+      {
+        $set: outcome?.skipped
+          ? { status: 'skipped', lastError: outcome.skipped, sentAt: null, transport: transport.name, expiresAt }
+          : { status: 'sent', lastError: null, sentAt: now, transport: transport.name, expiresAt }
+      }
+    );
+  } catch (err) {
+    const giveUp = err.permanent || message.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+    await db.collection('notificationOutbox').updateOne(
+      { _id: message._id },
+      {
+        $set: giveUp
+          ? { status: 'failed', lastError: err.message, expiresAt }
+          : { status: 'pending', lastError: err.message, nextAttemptAt: new Date(now.getTime() + NOTIFICATION_RETRY_BASE_MS * 2 ** (message.attempts - 1)) }
+      }
+    );
+    console.error(`Notification ${message._id} (${message.channel}) attempt ${message.attempts} failed:`, err.message);
+  }
+}
+
+let notificationDrainRunning = false;
+async function drainNotificationOutbox() {
+  if (notificationDrainRunning) return;
+  notificationDrainRunning = true;
+  try {
+    const db = await getDb();
+    for (let i = 0; i < 100; i++) {
+      const message = await claimNextNotification(db);
+      if (!message) break;
+      await deliverNotification(db, message);
+    }
+  } catch (err) {
+    console.error('Notification outbox run failed:', err.message);
+  } finally {
+    notificationDrainRunning = false;
+  }
+}
+
+function startNotificationWorker() {
+  if (!notificationTransports.push && !notificationTransports.email) return;
+  setInterval(drainNotificationOutbox, NOTIFICATION_POLL_MS).unref();
+  drainNotificationOutbox();
+}
+
+// Register an FCM device token for the caller; a token moves to whoever registered it last
+app.post('/api/notifications/devices', verifyFirebaseToken, loadUserProfile, authorize('notification.registerDevice'), async (req, res) => {
+  try {
+    const { token, platform } = req.body || {};
+    if (!token || typeof token !== 'string' || token.length > 4096) return sendBadRequest(res, { token: 'token is required' });
+    if (platform !== undefined && !['web', 'android', 'ios'].includes(platform)) {
+      return sendBadRequest(res, { platform: 'platform must be one of: web, android, ios' });
+    }
+    const db = await getDb();
+    const now = new Date();
+    await db.collection('deviceTokens').updateOne(
+      { _id: token },
+      { $set: { uid: req.user.uid, platform: platform || null, updatedAt: now }, $setOnInsert: { createdAt: now } },
+      { upsert: true }
+    );
+    res.status(204).end();
+  } catch (err) {
+    console.error('Register device failed:', err);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+app.delete('/api/notifications/devices/:token', verifyFirebaseToken, loadUserProfile, authorize('notification.registerDevice'), async (req, res) => {
+  try {
+    const db = await getDb();
+    await db.collection('deviceTokens').deleteOne({ _id: req.params.token, uid: req.user.uid });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Unregister device failed:', err);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+});
+
+// Outbox inspection. Query: status, orderId, limit (max 200)
+app.get('/api/notifications/outbox', verifyFirebaseToken, loadUserProfile, authorize('notification.manage'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.orderId) filter.orderId = String(req.query.orderId);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const items = await db.collection('notificationOutbox').find(filter).sort({ createdAt: -1 }).limit(limit).toArray();
+    res.json({ items, transports: { push: notificationTransports.push?.name || null, email: notificationTransports.email?.name || null } });
+  } catch (err) {
+    console.error('List notification outbox failed:', err);
+    res.status(500).json({ error: 'Failed to fetch notification outbox' });
+  }
+});
+
+// Requeue a failed or skipped message with a fresh set of attempts
+app.post('/api/notifications/outbox/:id/retry', verifyFirebaseToken, loadUserProfile, authorize('notification.manage'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const result = await db.collection('notificationOutbox').findOneAndUpdate(
+      { _id: { $in: idCandidates(req.params.id) }, status: { $in: ['failed', 'skipped'] } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), expiresAt: null } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (!result.value) return res.status(404).json({ error: 'No failed or skipped notification with that id' });
+    await writeAuditLog(req, { action: 'notification.retry', targetType: 'notification', targetId: result.value._id, meta: { orderId: result.value.orderId } });
+    setImmediate(drainNotificationOutbox);
+    res.json(result.value);
+  } catch (err) {
+    console.error('Retry notification failed:', err);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+});
+
+// ✅ Local transport only: messages "sent" by this process, newest first
+if (process.env.NODE_ENV !== 'production' &&
+  [notificationTransports.push, notificationTransports.email].some(t => t?.name === 'local')) {
+  app.get('/api/notifications/local', (req, res) => {
+    res.json(localNotifications);
+  });
+}
+
+// =========================
+// Order listing (cursor pagination + filters)
+// =========================
+
+const ORDER_PAGE_DEFAULT_LIMIT = 50;
+const ORDER_PAGE_MAX_LIMIT = 200;
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Opaque cursor pointing just past the given order in (createdAt desc, _id desc) order
+function encodeOrderCursor(order) {
+  const { ObjectId } = require('mongodb');
+  const payload = {
+    createdAt: new Date(order.createdAt).toISOString(),
+    id: String(order._id),
+    oid: order._id instanceof ObjectId
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeOrderCursor(cursor) {
+  const { ObjectId } = require('mongodb');
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(payload.createdAt);
+    if (Number.isNaN(createdAt.getTime()) || typeof payload.id !== 'string') return null;
+    return { createdAt, _id: payload.oid ? new ObjectId(payload.id) : payload.id };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Filters shared by every order list endpoint. Scope (campus/restaurant/user) is
+// added by the caller and always wins over the query string.
+// Query: from, to (ISO dates on createdAt), status (comma separated), paymentStatus,
+// campusId, restaurantId, phone (exact), q (phone prefix or customer name)
+function orderListFilters(query) {
+  const clauses = [];
+  const { from, to, status, paymentStatus, campusId, restaurantId, phone, q } = query;
+
+  if (from || to) {
+    const range = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (Number.isNaN(fromDate.getTime())) return { fields: { from: 'from must be a valid date' } };
+      range.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (Number.isNaN(toDate.getTime())) return { fields: { to: 'to must be a valid date' } };
+      range.$lte = toDate;
+    }
+    clauses.push({ createdAt: range });
+  }
+  if (status) {
+    const statuses = String(status).split(',').map(x => x.trim()).filter(Boolean);
+    const invalid = statuses.filter(x => !ORDER_STATUSES.includes(x));
+    if (invalid.length) return { fields: { status: `Invalid status: ${invalid.join(', ')}` } };
+    clauses.push({ status: statuses.length === 1 ? statuses[0] : { $in: statuses } });
+  }
+  if (paymentStatus) clauses.push({ paymentStatus: String(paymentStatus) });
+  if (campusId) clauses.push({ campusId: String(campusId) });
+  if (restaurantId) clauses.push({ 'cartItemsArray.restaurantId': String(restaurantId) });
+  if (phone) clauses.push({ phone: String(phone).trim() });
+  if (q && String(q).trim()) {
+    const term = String(q).trim();
+    if (/^\+?[\d\s-]+$/.test(term)) {
+      // Anchored prefix keeps the orders_phone_createdAt index usable
+      clauses.push({ phone: { $regex: `^${escapeRegex(term.replace(/[\s-]/g, ''))}` } });
+    } else {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      clauses.push({ $or: [{ firstName: pattern }, { lastName: pattern }] });
+    }
+  }
+  return { clauses };
+}
+
+// Order lists answer with the { items, total, limit, nextCursor } envelope only when the caller
+// opts in with ?paginate=true or passes a ?cursor=. Otherwise they keep their original contract,
+// a bare array of up to `limit` orders (the route's legacy default), so existing clients keep working.
+const LEGACY_ORDER_LIST_MAX_LIMIT = 1000;
+
+function wantsOrderPage(query) {
+  return !!query.cursor || query.paginate === 'true' || query.paginate === '1';
+}
+
+// Runs an order list query: the paginated envelope, { items, legacy: true } for bare-array
+// callers, or { fields } (bad query parameters)
+async function listOrdersPage(db, scope, query, { legacyLimit = ORDER_PAGE_DEFAULT_LIMIT } = {}) {
+  const parsed = orderListFilters(query);
+  if (parsed.fields) return { fields: parsed.fields };
+
+  if (!wantsOrderPage(query)) {
+    const legacyFilter = scope && Object.keys(scope).length ? [...parsed.clauses, scope] : parsed.clauses;
+    const items = await db.collection('orders')
+      .find(legacyFilter.length ? { $and: legacyFilter } : {})
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(Math.min(Math.max(parseInt(query.limit, 10) || legacyLimit, 1), LEGACY_ORDER_LIST_MAX_LIMIT))
+      .toArray();
+    return { items, legacy: true };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || ORDER_PAGE_DEFAULT_LIMIT, 1), ORDER_PAGE_MAX_LIMIT);
+  const clauses = [...parsed.clauses];
+  if (scope && Object.keys(scope).length) clauses.push(scope);
+  const filter = clauses.length ? { $and: clauses } : {};
+
+  let pageFilter = filter;
+  if (query.cursor) {
+    const cursor = decodeOrderCursor(query.cursor);
+    if (!cursor) return { fields: { cursor: 'Invalid cursor' } };
+    pageFilter = {
+      $and: [
+        ...(clauses.length ? clauses : []),
+        { $or: [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }] }
+      ]
+    };
+  }
+
+  const [items, total] = await Promise.all([
+    db.collection('orders')
+      .find(pageFilter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .toArray(),
+    db.collection('orders').countDocuments(filter)
+  ]);
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+  return {
+    items,
+    total,
+    limit,
+    nextCursor: hasMore ? encodeOrderCursor(items[items.length - 1]) : null
+  };
+}
+
+// Sends a listOrdersPage result in the shape the caller asked for; `items` may be a mapped copy
+function sendOrderList(res, page, items = page.items) {
+  if (page.legacy) return res.json(items);
+  const { legacy, ...envelope } = page;
+  return res.json({ ...envelope, items });
+}
+
+// =========================
+// New: MongoDB Orders API
+// Enforces: users can order ONLY from their own campus
+// =========================
+
+// ✅ Idempotency-Key support for order creation
+// A retry with the same key from the same caller replays the stored response instead of
+// inserting another order. Keys live in `idempotencyKeys` and expire through a TTL index on
+// `expiresAt` (scripts/initMongo.js).
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+const IDEMPOTENCY_TTL_MS = (Number(process.env.ORDER_IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A `processing` claim older than this is assumed to belong to a crashed request and may be taken over
+const IDEMPOTENCY_LEASE_MS = (Number(process.env.ORDER_IDEMPOTENCY_LEASE_SECONDS) || 60) * 1000;
+// Fresh per attempt, so not part of the request fingerprint
+const IDEMPOTENCY_IGNORED_FIELDS = ['recaptchaToken'];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestFingerprint(body) {
+  const payload = { ...(body || {}) };
+  IDEMPOTENCY_IGNORED_FIELDS.forEach(k => delete payload[k]);
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+// Middleware factory: claims the key before the handler runs, then records the response
+// (2xx) or releases the claim (anything else) so a failed attempt can be retried.
+// Each claim carries a lease; a retry may take over a `processing` key whose lease ran out,
+// so a crash mid-request does not lock the key until its TTL.
+// `getKeys()` resolves the key collection; `clock()` is the current time.
+function idempotencyMiddleware(getKeys, clock = () => new Date()) {
+  return async function orderIdempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+      return sendBadRequest(res, { 'Idempotency-Key': `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters` });
+    }
+
+    try {
+      const keys = await getKeys();
+      const _id = `${req.user.uid}:${key}`;
+      const fingerprint = requestFingerprint(req.body);
+      const now = clock();
+      const leaseId = crypto.randomUUID();
+      const claim = {
+        _id,
+        uid: req.user.uid,
+        key,
+        fingerprint,
+        state: 'processing',
+        leaseId,
+        leaseExpiresAt: new Date(now.getTime() + IDEMPOTENCY_LEASE_MS),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS)
+      };
+
+      try {
+        await keys.insertOne(claim);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        const existing = await keys.findOne({ _id });
+        // TTL deletion runs about once a minute, so an expired key may still be around
+        const expired = !existing || existing.expiresAt <= now;
+        if (expired) {
+          const replaced = await keys.replaceOne({ _id, expiresAt: { $lte: now } }, claim, { upsert: !existing });
+          if (!replaced.matchedCount && !replaced.upsertedCount) {
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is already being processed' });
+          }
+        } else if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({ error: 'This Idempotency-Key was already used with a different request' });
+        } else if (existing.state !== 'completed') {
+          // Claims written before leases existed fall back to createdAt
+          const leaseExpiresAt = existing.leaseExpiresAt || new Date(existing.createdAt.getTime() + IDEMPOTENCY_LEASE_MS);
+          if (leaseExpiresAt > now) {
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is already being processed' });
+          }
+          // Compare-and-swap on the stale lease so only one retry takes the key over
+          const takeover = await keys.replaceOne({ _id, state: 'processing', leaseId: existing.leaseId ?? null }, claim);
+          if (!takeover.matchedCount) {
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is already being processed' });
+          }
+        } else {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response.status).json(existing.response.body);
+        }
+      }
+
+      const json = res.json.bind(res);
+      res.json = body => {
+        const done = res.statusCode >= 200 && res.statusCode < 300
+          ? keys.updateOne({ _id, leaseId }, { $set: { state: 'completed', response: { status: res.statusCode, body } } })
+          : keys.deleteOne({ _id, state: 'processing', leaseId });
+        done.catch(err => console.error('Idempotency key update failed:', _id, err.message));
+        return json(body);
+      };
+      next();
+    } catch (err) {
+      console.error('Idempotency check failed:', err);
+      res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+    }
+  };
+}
+
+const orderIdempotency = idempotencyMiddleware(async () => (await getDb()).collection('idempotencyKeys'));
+
+// Optional Idempotency-Key header: retries with the same key return the original order id
+app.post('/api/orders', verifyFirebaseToken, loadUserProfile, authorize('order.create', targetFromBody), rateLimit('orders', req => ({ ip: req.ip, uid: req.user.uid, phone: normalizePhone(req.body?.phone) })), orderIdempotency, async (req, res) => {
+  try {
+    const db = await getDb();
+    const {
+      campusId,
+      persons,
+      deliveryCharge,
+      itemTotal,
+      discount,
+      grandTotal,
+      cartItems,
+      restaurantNames,
+      promoCode,
+      deliverySlotId,
+      deliveryDate,
+      recaptchaToken
+    } = req.body || {};
+
+    // authorize('order.create') already limits orders to the caller's assigned campus
+    if (!campusId) return sendBadRequest(res, { campusId: 'campusId is required' });
+
+    // reCAPTCHA: mandatory when the campus (or RECAPTCHA_REQUIRED=true) enforces it,
+    // otherwise checked only when a token is sent and a secret is configured
+    const campusSettings = await db.collection('campusSettings').findOne(
+      { campusId, deletedAt: null },
+      { projection: { campusId: 1, requireRecaptcha: 1, deliverySlots: 1, timezone: 1 } }
+    );
+    const recaptchaRequired = campusSettings?.requireRecaptcha === true || process.env.RECAPTCHA_REQUIRED === 'true';
+    if (recaptchaRequired && !process.env.RECAPTCHA_SECRET_KEY) {
+      console.error(`Campus ${campusId} requires reCAPTCHA but RECAPTCHA_SECRET_KEY is not set`);
+      return res.status(503).json({ error: 'reCAPTCHA is not configured on this server' });
+    }
+    if (recaptchaRequired || (recaptchaToken && process.env.RECAPTCHA_SECRET_KEY)) {
+      const recaptchaError = await verifyRecaptcha(recaptchaToken, req.ip);
+      if (recaptchaError) return sendBadRequest(res, { recaptchaToken: recaptchaError });
+    }
+
+    // Customer fields are checked against the shared orders schema
+    const { value: contact, errors: contactErrors } = validateInput('orders', req.body);
+    if (contactErrors) return sendBadRequest(res, contactErrors);
+
+    // Re-price the cart; client totals are never trusted
+    let pricing = await priceCart(db, { campusId, cartItems, persons });
+    if (pricing.errors) return sendPricingError(res, pricing);
+    let promo = null;
+    if (promoCode !== undefined && promoCode !== null && promoCode !== '') {
+      const applied = await applyPromoCode(db, { code: promoCode, campusId, userId: req.user.uid, pricing });
+      if (applied.error) return sendBadRequest(res, { promoCode: applied.error });
+      ({ promo, pricing } = applied);
+    }
+    // Campuses that define delivery slots only take orders into an open slot
+    let slot = null;
+    if ((campusSettings?.deliverySlots || []).some(x => x.isActive !== false)) {
+      const resolved = resolveDeliverySlot(campusSettings, { slotId: deliverySlotId, date: deliveryDate, persons: pricing.persons });
+      if (resolved.error) return sendBadRequest(res, { deliverySlotId: resolved.error });
+      slot = resolved.slot;
+    }
+    const mismatched = findTotalMismatches({ itemTotal, deliveryCharge, discount, grandTotal }, pricing);
+    if (mismatched.length) {
+      return res.status(409).json({
+        error: 'Order totals are out of date. Please review the updated prices.',
+        fields: mismatched,
+        expected: {
+          persons: pricing.persons,
+          itemTotal: pricing.itemTotal,
+          deliveryCharge: pricing.deliveryCharge,
+          deliveryBreakdown: pricing.deliveryBreakdown,
+          discount: pricing.discount || 0,
+          grandTotal: pricing.grandTotal,
+          cartItems: pricing.lines
+        }
+      });
+    }
+
+    // Restaurant names come from the priced lines; client-sent names are only a fallback
+    const pricedNames = pricing.lines.map(l => l.restaurantName).filter(Boolean);
+    const orderRestaurantNames = Array.from(new Set(
+      (pricedNames.length ? pricedNames : (Array.isArray(restaurantNames) ? restaurantNames : []))
+        .map(x => String(x).trim())
+        .filter(Boolean)
+    ));
+
+    const orderDoc = {
+      userId: req.user.uid, // Who placed the order; drives /api/orders/mine and self-cancellation
+      universityId: contact.universityId || req.userProfile?.universityId || null,
+      campusId,
+      universityName: contact.universityName,
+      campusName: contact.campusName,
+      firstName: contact.firstName,
+      lastName: contact.lastName || null,
+      room: contact.room || null,
+      phone: contact.phone,
+      email: contact.email || req.user?.email || null,
+      gender: contact.gender,
+      persons: pricing.persons,
+      deliveryCharge: pricing.deliveryCharge,
+      deliveryBreakdown: pricing.deliveryBreakdown,
+      itemTotal: pricing.itemTotal,
+      discount: pricing.discount || 0,
+      promo: pricing.promo || null,
+      grandTotal: pricing.grandTotal,
+      cartItems: describeCartLines(pricing.lines), // Keep as string for schema validation
+      cartItemsArray: pricing.lines, // Server-priced lines, used for filtering
+      // List of restaurant names present in the order for filtering
+      ...(orderRestaurantNames.length > 0 ? { restaurantNames: orderRestaurantNames } : {}),
+      timestamp: new Date().toISOString(),
+      accountTitle: contact.accountTitle || null,
+      bankName: contact.bankName || null,
+      screenshotURL: contact.screenshotURL || null,
+      specialInstruction: contact.specialInstruction || null,
+      deliverySlot: slot
+        ? { id: slot.id, label: slot.label, date: slot.date, deliverAt: slot.deliverAtUtc, cutoffAt: slot.cutoffAt }
+        : null,
+      createdAt: new Date(),
+      status: 'pending',
+      paymentStatus: 'unverified',
+      statusHistory: [statusHistoryEntry(req, null, 'pending', null)]
+    };
+
+    // Reserve mart stock last so nothing is held for orders rejected above
+    const stock = await reserveMartStock(db, pricing.lines);
+    if (stock.shortages) {
+      return res.status(409).json({ error: 'Some mart items are out of stock', items: stock.shortages });
+    }
+    orderDoc.stockReservations = stock.reserved;
+
+    // The total and per-user usage caps are claimed atomically; concurrent checkouts cannot overspend them
+    if (promo && !(await claimPromoUse(db, promo))) {
+      await releaseMartStock(db, stock.reserved);
+      return sendBadRequest(res, { promoCode: 'Promo code has reached its usage limit' });
+    }
+    if (promo && typeof promo.maxUsesPerUser === 'number' && !(await claimPromoUserUse(db, promo, req.user.uid))) {
+      await releaseMartStock(db, stock.reserved);
+      await releasePromoUse(db, promo._id);
+      return sendBadRequest(res, { promoCode: 'You have already used this promo code' });
+    }
+
+    // Slot capacity is booked atomically as well
+    if (slot && !(await claimDeliverySlot(db, campusId, slot, pricing.persons))) {
+      await releaseMartStock(db, stock.reserved);
+      if (promo) await releasePromoUse(db, promo._id, req.user.uid);
+      return res.status(409).json({
+        error: `${slot.label} is full. Please choose another delivery slot.`,
+        fields: { deliverySlotId: 'Delivery slot is full' },
+        slots: await slotAvailability(db, campusSettings, slot.date)
+      });
+    }
+
+    let result;
+    try {
+      result = await db.collection('orders').insertOne(orderDoc);
+    } catch (insertErr) {
+      await releaseMartStock(db, stock.reserved);
+      if (promo) await releasePromoUse(db, promo._id, req.user.uid);
+      if (slot) await releaseDeliverySlot(db, campusId, slot.id, slot.date, pricing.persons);
+      throw insertErr;
+    }
+    publishOrderEvent('order.created', { ...orderDoc, _id: result.insertedId });
+
+    res.status(201).json({ id: result.insertedId });
+  } catch (err) {
+    console.error('Create order failed:', err);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+// List orders (campus-scoped for campus admin, all orders for super admin)
+// Bare array by default; ?paginate=true returns { items, total, limit, nextCursor } and the
+// returned nextCursor goes in ?cursor= to fetch the next page
+app.get('/api/orders', verifyFirebaseToken, loadUserProfile, authorize('order.list'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const isSuperAdminUser = isSuperAdmin(req.userProfile);
     
+    // Super admin sees all orders, customers only their own, everyone else their campus
+    const scope = isSuperAdminUser
+      ? {}
+      : req.userProfile?.role === 'user'
+        ? { userId: req.user.uid }
+        : { campusId: req.userProfile?.campusId };
+    
+    const page = await listOrdersPage(db, scope, req.query);
+    if (page.fields) return sendBadRequest(res, page.fields);
+    sendOrderList(res, page);
+  } catch (err) {
+    console.error('List orders failed:', err);
+    res.status(500).json({ error: 'Failed to list orders' });
+  }
+});
+
+// Explicit super-admin endpoint for all orders (alias for clarity)
+app.get('/api/orders/all', verifyFirebaseToken, loadUserProfile, authorize('order.listAll'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const page = await listOrdersPage(db, {}, req.query, { legacyLimit: 1000 });
+    if (page.fields) return sendBadRequest(res, page.fields);
+    sendOrderList(res, page);
+  } catch (err) {
+    console.error('List all orders failed:', err);
+    res.status(500).json({ error: 'Failed to list orders' });
+  }
+});
+
+// Quotes a CSV cell when it contains a delimiter, quote or newline
+// Spreadsheet apps run cells starting with = + - @ (or tab/CR) as formulas; a leading
+// apostrophe keeps customer-entered text inert. Numbers are left alone.
+function neutralizeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  const safe = neutralizeFormula(value);
+  const text = safe === null || safe === undefined ? '' : String(safe);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Waits for a full response buffer to drain. Rejects when the client disconnects or the
+// socket errors first, since 'drain' then never fires.
+function waitForDrain(res) {
+  if (res.destroyed) return Promise.reject(Object.assign(new Error('Client disconnected'), { clientClosed: true }));
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onError);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(Object.assign(new Error('Client disconnected'), { clientClosed: true })); };
+    const onError = err => { cleanup(); reject(err); };
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onError);
+  });
+}
+
+// Streams orders as CSV or XLSX in the old Google Sheets column layout.
+// Query: format=csv|xlsx plus the order list filters (from, to, campusId, status, ...)
+app.get('/api/orders/export', verifyFirebaseToken, loadUserProfile, authorize('order.export'), async (req, res) => {
+  let cursor = null;
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) return sendBadRequest(res, { format: 'format must be csv or xlsx' });
+
+    const parsed = orderListFilters(req.query);
+    if (parsed.fields) return sendBadRequest(res, parsed.fields);
+    const clauses = [...parsed.clauses];
+    if (isCampusAdmin(req.userProfile)) clauses.push({ campusId: req.userProfile.campusId });
+
+    const db = await getDb();
+    cursor = db.collection('orders')
+      .find(clauses.length ? { $and: clauses } : {})
+      .sort({ createdAt: 1 });
+
+    const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // Stop reading early if the client goes away mid-download (the XLSX writer never waits on drain)
+    req.on('close', () => { if (!res.writableFinished) cursor.close().catch(() => {}); });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel opens UTF-8 names correctly
+      res.write('\uFEFF' + ORDER_SHEET_HEADERS.map(csvCell).join(',') + '\r\n');
+      for await (const order of cursor) {
+        const line = orderSheetRow(order, formatOrderTimestamp(order.createdAt)).map(csvCell).join(',') + '\r\n';
+        if (!res.write(line)) await waitForDrain(res);
+      }
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Orders');
+    sheet.addRow(ORDER_SHEET_HEADERS).commit();
+    for await (const order of cursor) {
+      sheet.addRow(orderSheetRow(order, formatOrderTimestamp(order.createdAt)).map(neutralizeFormula)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  } catch (err) {
+    if (err.clientClosed || res.destroyed) return; // Client went away; nothing to report
+    console.error('Order export failed:', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Failed to export orders' });
+    res.destroy(err);
+  } finally {
+    // Always release the Mongo cursor, including when the client went away mid-download
+    if (cursor) await cursor.close().catch(() => {});
+  }
+});
+
+// Live feed of order-created / status-changed events for staff, scoped like GET /api/orders
+app.get('/api/orders/stream', tokenFromQuery, verifyFirebaseToken, loadUserProfile, authorize('order.stream'), (req, res) => {
+  const profile = req.userProfile;
+
+  const send = openOrderStream(req, res, (evt, emit) => {
+    if (!orderMatchesScope(evt.order, profile, req.user.uid)) return;
+    const order = isRestaurantManager(profile)
+      ? restaurantOrderView(evt.order, profile.restaurantId, profile.restaurantName)
+      : evt.order;
+    emit(evt.type, { ...evt, order });
+  });
+  send('ready', { role: profile.role, campusId: profile.campusId || null, restaurantId: profile.restaurantId || null });
+});
+
+// Live status updates for a single order (customers watch their own; staff within scope)
+app.get('/api/orders/:id/stream', tokenFromQuery, verifyFirebaseToken, loadUserProfile, authorize('order.read', orderTarget), async (req, res) => {
+  try {
+    const scope = orderAccessFilter(req.userProfile, req.user.uid);
+    if (!scope) return sendForbidden(req, res, 'order.read', 'Unauthorized');
+
+    const db = await getDb();
+    const order = await db.collection('orders').findOne({ $and: [{ _id: { $in: idCandidates(req.params.id) } }, scope] });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const orderId = String(order._id);
+    const send = openOrderStream(req, res, (evt, emit) => {
+      if (String(evt.order._id) !== orderId || evt.type === 'order.created') return;
+      emit(evt.type, { id: orderId, status: evt.order.status, paymentStatus: evt.order.paymentStatus || null, change: evt.change, at: evt.at });
+    });
+    send('snapshot', { id: orderId, status: order.status || 'pending', paymentStatus: order.paymentStatus || null, history: order.statusHistory || [] });
+  } catch (err) {
+    console.error('Open order stream failed:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to open order stream' });
+  }
+});
+
+// Orders placed by the calling user (any role), newest first
+app.get('/api/orders/mine', verifyFirebaseToken, loadUserProfile, authorize('order.listMine'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { status, limit = 50 } = req.query;
+    const filter = { userId: req.user.uid };
+    if (status !== undefined) {
+      // String() so query objects like ?status[$ne]=x can never reach the filter as operators
+      const value = String(status);
+      if (!ORDER_STATUSES.includes(value)) {
+        return sendBadRequest(res, { status: `Invalid status. Allowed values: ${ORDER_STATUSES.join(', ')}` });
+      }
+      filter.status = value;
+    }
+    const orders = await db.collection('orders')
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.max(1, Math.min(parseInt(limit, 10) || 50, 200)))
+      .toArray();
+    res.json(orders);
+  } catch (err) {
+    console.error('List my orders failed:', err);
+    res.status(500).json({ error: 'Failed to list orders' });
+  }
+});
+
+// Customer self-service cancellation (only while the order is still pending)
+app.post('/api/orders/:id/cancel', verifyFirebaseToken, loadUserProfile, authorize('order.cancel', orderTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { reason } = req.body || {};
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return sendBadRequest(res, { reason: 'reason must be a string' });
+    }
+
+    const existing = await db.collection('orders').findOne({
+      _id: { $in: idCandidates(req.params.id) },
+      userId: req.user.uid
+    });
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
+
+    const currentStatus = existing.status || 'pending';
+    if (currentStatus === 'cancelled') {
+      return res.status(409).json({ error: 'This order has already been cancelled', currentStatus });
+    }
+    if (currentStatus !== 'pending') {
+      return res.status(409).json({
+        error: `Your order is already '${currentStatus}' and can no longer be cancelled. Orders are locked once the restaurant accepts them; please contact your campus admin.`,
+        currentStatus
+      });
+    }
+
+    // Checked as role `user` so staff cancelling a personal order follow the customer rule
+    const result = await changeOrderStatus(db, req, existing, 'cancelled', reason || 'Cancelled by customer', 'user');
+    if (!result.order) return res.status(result.code).json(result.body);
+    res.json(result.order);
+  } catch (err) {
+    console.error('Cancel order failed:', err);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// Orders on the caller's campus whose bank transfer still needs checking (oldest first)
+app.get('/api/orders/payments/pending', verifyFirebaseToken, loadUserProfile, authorize('order.listPendingPayments'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { limit = 100 } = req.query;
+    const filter = { paymentStatus: 'unverified', status: { $ne: 'cancelled' } };
+    if (isCampusAdmin(req.userProfile)) filter.campusId = req.userProfile.campusId;
+    else if (req.query.campusId) filter.campusId = String(req.query.campusId);
+
+    const orders = await db.collection('orders')
+      .find(filter)
+      .sort({ createdAt: 1 })
+      .limit(Math.max(1, Math.min(parseInt(limit, 10) || 100, 500)))
+      .toArray();
+    res.json(orders);
+  } catch (err) {
+    console.error('List pending payments failed:', err);
+    res.status(500).json({ error: 'Failed to list orders awaiting payment verification' });
+  }
+});
+
+// Verify or reject the bank transfer on an order (campus admin of the order's campus)
+async function reviewOrderPayment(req, res, paymentStatus) {
+  try {
+    const { reason } = req.body || {};
+    if (paymentStatus === 'rejected' && (typeof reason !== 'string' || !reason.trim())) {
+      return sendBadRequest(res, { reason: 'reason is required when rejecting a payment' });
+    }
+
+    const db = await getDb();
+    const existing = await db.collection('orders').findOne({
+      _id: { $in: idCandidates(req.params.id) },
+      campusId: req.userProfile.campusId
+    });
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
+    if (!existing.paymentStatus) {
+      return res.status(409).json({ error: 'This order predates payment verification' });
+    }
+    if (existing.status === 'cancelled') {
+      return res.status(409).json({ error: 'Cannot review payment on a cancelled order' });
+    }
+    if (existing.paymentStatus === 'verified') {
+      return res.status(409).json({ error: 'Payment has already been verified', paymentStatus: existing.paymentStatus });
+    }
+    if (existing.paymentStatus === paymentStatus) {
+      return res.status(409).json({ error: `Payment is already ${paymentStatus}`, paymentStatus });
+    }
+
+    const review = {
+      paymentStatus,
+      paymentReviewedBy: {
+        uid: req.user.uid,
+        email: req.userProfile.email || req.user.email || null,
+        role: req.userProfile.role
+      },
+      paymentReviewedAt: new Date(),
+      paymentRejectionReason: paymentStatus === 'rejected' ? reason.trim() : null
+    };
+    const upd = await db.collection('orders').updateOne(
+      { _id: existing._id, paymentStatus: existing.paymentStatus },
+      { $set: { ...review, updatedAt: review.paymentReviewedAt } }
+    );
+    if (upd.matchedCount === 0) {
+      return res.status(409).json({ error: 'Payment status changed while updating. Please refresh and try again.' });
+    }
+
+    await writeAuditLog(req, {
+      action: paymentStatus === 'verified' ? 'order.paymentVerify' : 'order.paymentReject',
+      targetType: 'order',
+      targetId: existing._id,
+      before: { paymentStatus: existing.paymentStatus },
+      after: { paymentStatus },
+      campusId: existing.campusId,
+      meta: review.paymentRejectionReason ? { reason: review.paymentRejectionReason } : null
+    });
+
+    const order = await db.collection('orders').findOne({ _id: existing._id });
+    publishOrderEvent('order.paymentReviewed', order, { from: existing.paymentStatus, to: paymentStatus, note: review.paymentRejectionReason });
+    res.json(order);
+  } catch (err) {
+    console.error('Payment review failed:', err);
+    res.status(500).json({ error: 'Failed to update payment status' });
+  }
+}
+
+app.post('/api/orders/:id/payment/verify', verifyFirebaseToken, loadUserProfile, authorize('order.reviewPayment', orderTarget), (req, res) => reviewOrderPayment(req, res, 'verified'));
+app.post('/api/orders/:id/payment/reject', verifyFirebaseToken, loadUserProfile, authorize('order.reviewPayment', orderTarget), (req, res) => reviewOrderPayment(req, res, 'rejected'));
+
+// Update order status (campus admin and restaurant manager, not super admin)
+app.patch('/api/orders/:id', verifyFirebaseToken, loadUserProfile, authorize('order.updateStatus', orderTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { id } = req.params;
+    const { status, note } = req.body || {};
+    if (!status) return sendBadRequest(res, { status: 'status is required' });
+    if (!ORDER_STATUSES.includes(status)) {
+      return sendBadRequest(res, { status: `Invalid status. Allowed values: ${ORDER_STATUSES.join(', ')}` });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return sendBadRequest(res, { note: 'note must be a string' });
+    }
+
     // Campus admin: filter by campusId
     // Restaurant manager: filter by orders containing their restaurant's items
-    let filter;
-    if (isCampusAdmin(req.userProfile)) {
-      filter = { $or: filters, campusId: req.userProfile?.campusId };
-    } else if (isRestaurantManager(req.userProfile)) {
-      filter = { $or: filters, 'cartItems.restaurantId': req.userProfile?.restaurantId };
-    } else {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    // Customer: only orders they placed (and only pending -> cancelled is allowed)
+    const scope = orderAccessFilter(req.userProfile, req.user.uid);
+    if (!scope) return sendForbidden(req, res, 'order.updateStatus', 'Unauthorized');
+    const filter = { $and: [{ _id: { $in: idCandidates(id) } }, scope] };
 
-    const upd = await db.collection('orders').updateOne(filter, { $set: { status } });
-    if (upd.matchedCount === 0) return res.status(404).json({ error: 'Order not found' });
+    const existing = await db.collection('orders').findOne(filter);
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
 
-    const doc = await db.collection('orders').findOne(filter);
-    if (!doc) return res.status(404).json({ error: 'Order not found after update' });
-    res.json(doc);
+    const result = await changeOrderStatus(db, req, existing, status, note);
+    if (!result.order) return res.status(result.code).json(result.body);
+    res.json(result.order);
   } catch (err) {
+    console.error('Update order status failed:', err);
     res.status(500).json({ error: 'Failed to update order' });
   }
 });
 
+// Status history for a single order (same scoping as the order lists)
+app.get('/api/orders/:id/history', verifyFirebaseToken, loadUserProfile, authorize('order.read', orderTarget), async (req, res) => {
+  try {
+    const scope = orderAccessFilter(req.userProfile, req.user.uid);
+    if (!scope) return sendForbidden(req, res, 'order.read', 'Unauthorized');
+
+    const db = await getDb();
+    const order = await db.collection('orders').findOne(
+      { $and: [{ _id: { $in: idCandidates(req.params.id) } }, scope] },
+      { projection: { status: 1, statusHistory: 1, createdAt: 1 } }
+    );
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    res.json({
+      id: String(order._id),
+      status: order.status || 'pending',
+      history: Array.isArray(order.statusHistory) ? order.statusHistory : []
+    });
+  } catch (err) {
+    console.error('Fetch order history failed:', err);
+    res.status(500).json({ error: 'Failed to fetch order history' });
+  }
+});
+
 // =========================
-// User Management API
+// Riders and delivery assignment
 // =========================
+// Campus admins assign an order to a rider on the order's campus (reassigning replaces
+// the rider until the order is picked up). The rider marks it picked up
+// (ready -> out-for-delivery) and delivered with a proof note; `rider` on the order keeps
+// who delivered it, which drives the per-rider history used for payouts.
+const RIDER_FINAL_STATUSES = ['delivered', 'cancelled'];
+const DELIVERY_PROJECTION = {
+  firstName: 1, lastName: 1, room: 1, phone: 1, persons: 1, campusName: 1,
+  grandTotal: 1, deliveryCharge: 1, paymentStatus: 1, status: 1, restaurantNames: 1,
+  cartItemsArray: 1, specialInstruction: 1, deliverySlot: 1, rider: 1, createdAt: 1
+};
 
-// Create user via Firebase Admin (prevents automatic sign-in)
-app.post('/api/users', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+// Assign or reassign an order ({ riderUid }); riders must be active and on the order's campus
+app.post('/api/orders/:id/rider', verifyFirebaseToken, loadUserProfile, authorize('order.assignRider', orderTarget), async (req, res) => {
   try {
-    if (!isSuperAdmin(req.userProfile)) {
-      return res.status(403).json({ error: 'Super admin only' });
+    const db = await getDb();
+    const riderUid = req.body?.riderUid;
+    if (!riderUid || typeof riderUid !== 'string') return sendBadRequest(res, { riderUid: 'riderUid is required' });
+
+    const existing = await db.collection('orders').findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
+    const currentStatus = existing.status || 'pending';
+    if (RIDER_FINAL_STATUSES.includes(currentStatus) || currentStatus === 'out-for-delivery') {
+      return res.status(409).json({ error: `Riders cannot be changed once an order is '${currentStatus}'`, currentStatus });
     }
-    
-    const { firstName, lastName, email, password, role, universityId, campusId, universityName, campusName, restaurantId, restaurantName } = req.body;
-    
-    if (!firstName || !lastName || !email || !password || !role || !universityId || !campusId) {
-      return res.status(400).json({ error: 'Missing required fields' });
+
+    const rider = await getUserProfile(riderUid);
+    if (!rider || rider.role !== 'rider') return sendBadRequest(res, { riderUid: 'Rider not found' });
+    if (rider.isActive === false) return sendBadRequest(res, { riderUid: 'Rider account is deactivated' });
+    if (rider.campusId !== existing.campusId) return sendBadRequest(res, { riderUid: 'Rider is not assigned to this order\'s campus' });
+
+    const assignment = {
+      uid: riderUid,
+      name: `${rider.firstName || ''} ${rider.lastName || ''}`.trim() || rider.email || null,
+      phone: rider.phone || null,
+      assignedAt: new Date(),
+      assignedBy: req.user.uid,
+      pickedUpAt: null,
+      deliveredAt: null,
+      proofNote: null
+    };
+    // Match on status and previous rider so a concurrent pickup or reassignment wins cleanly
+    const upd = await db.collection('orders').updateOne(
+      { _id: existing._id, status: existing.status ?? null, 'rider.uid': existing.rider?.uid ?? null },
+      { $set: { rider: assignment, updatedAt: assignment.assignedAt } }
+    );
+    if (upd.matchedCount === 0) {
+      return res.status(409).json({ error: 'Order changed while assigning. Please refresh and try again.' });
     }
-    
-    // Validate restaurantId for restaurant managers
-    if (role === 'restaurantManager' && !restaurantId) {
-      return res.status(400).json({ error: 'restaurantId is required for restaurant managers' });
+    await writeAuditLog(req, {
+      action: existing.rider ? 'order.riderReassign' : 'order.riderAssign',
+      targetType: 'order',
+      targetId: existing._id,
+      before: { rider: existing.rider || null },
+      after: { rider: assignment },
+      campusId: existing.campusId
+    });
+
+    const order = await db.collection('orders').findOne({ _id: existing._id });
+    publishOrderEvent('order.riderAssigned', order, { riderUid });
+    res.json(order);
+  } catch (err) {
+    console.error('Assign rider failed:', err);
+    res.status(500).json({ error: 'Failed to assign rider' });
+  }
+});
+
+app.delete('/api/orders/:id/rider', verifyFirebaseToken, loadUserProfile, authorize('order.assignRider', orderTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const existing = await db.collection('orders').findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!existing) return res.status(404).json({ error: 'Order not found' });
+    if (!existing.rider) return res.status(409).json({ error: 'No rider is assigned to this order' });
+    const currentStatus = existing.status || 'pending';
+    if (RIDER_FINAL_STATUSES.includes(currentStatus) || currentStatus === 'out-for-delivery') {
+      return res.status(409).json({ error: `Riders cannot be changed once an order is '${currentStatus}'`, currentStatus });
+    }
+    const upd = await db.collection('orders').updateOne(
+      { _id: existing._id, status: existing.status ?? null, 'rider.uid': existing.rider.uid },
+      { $set: { rider: null, updatedAt: new Date() } }
+    );
+    if (upd.matchedCount === 0) {
+      return res.status(409).json({ error: 'Order changed while unassigning. Please refresh and try again.' });
+    }
+    await writeAuditLog(req, {
+      action: 'order.riderUnassign',
+      targetType: 'order',
+      targetId: existing._id,
+      before: { rider: existing.rider },
+      after: { rider: null },
+      campusId: existing.campusId
+    });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Unassign rider failed:', err);
+    res.status(500).json({ error: 'Failed to unassign rider' });
+  }
+});
+
+// Rider's deliveries. Query: status=active (default, not yet delivered/cancelled) | delivered | all
+app.get('/api/rider/deliveries', verifyFirebaseToken, loadUserProfile, authorize('delivery.listMine'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const view = req.query.status || 'active';
+    const filter = { 'rider.uid': req.user.uid };
+    if (view === 'active') filter.status = { $nin: RIDER_FINAL_STATUSES };
+    else if (view === 'delivered') filter.status = 'delivered';
+    else if (view !== 'all') return sendBadRequest(res, { status: 'status must be one of: active, delivered, all' });
+
+    const deliveries = await db.collection('orders')
+      .find(filter, { projection: DELIVERY_PROJECTION })
+      .sort(view === 'active' ? { 'deliverySlot.deliverAt': 1, createdAt: 1 } : { 'rider.deliveredAt': -1 })
+      .limit(200)
+      .toArray();
+    res.json(deliveries.map(o => ({ ...o, id: String(o._id) })));
+  } catch (err) {
+    console.error('List deliveries failed:', err);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Moves the rider's delivery to `status`, recording the rider timestamps in the same update
+async function updateDelivery(req, res, status, note, riderFields) {
+  try {
+    const db = await getDb();
+    const existing = await db.collection('orders').findOne({ _id: { $in: idCandidates(req.params.id) }, 'rider.uid': req.user.uid });
+    if (!existing) return res.status(404).json({ error: 'Delivery not found' });
+    const extraSet = {};
+    Object.entries(riderFields).forEach(([k, v]) => { extraSet[`rider.${k}`] = v; });
+    const result = await changeOrderStatus(db, req, existing, status, note, 'rider', extraSet);
+    if (!result.order) return res.status(result.code).json(result.body);
+    res.json(result.order);
+  } catch (err) {
+    console.error(`Delivery update to ${status} failed:`, err);
+    res.status(500).json({ error: 'Failed to update delivery' });
+  }
+}
+
+app.post('/api/rider/deliveries/:id/picked-up', verifyFirebaseToken, loadUserProfile, authorize('delivery.update', deliveryTarget), (req, res) => {
+  const note = typeof req.body?.note === 'string' ? req.body.note : null;
+  return updateDelivery(req, res, 'out-for-delivery', note || 'Picked up by rider', { pickedUpAt: new Date() });
+});
+
+// Requires proofNote, e.g. "Handed to customer at gate 2" or who received it
+app.post('/api/rider/deliveries/:id/delivered', verifyFirebaseToken, loadUserProfile, authorize('delivery.update', deliveryTarget), (req, res) => {
+  const proofNote = typeof req.body?.proofNote === 'string' ? req.body.proofNote.trim() : '';
+  if (!proofNote) return sendBadRequest(res, { proofNote: 'proofNote is required' });
+  if (proofNote.length > 500) return sendBadRequest(res, { proofNote: 'proofNote must be at most 500 characters' });
+  return updateDelivery(req, res, 'delivered', proofNote, { deliveredAt: new Date(), proofNote });
+});
+
+// Per-rider delivery history and payout totals. Query: from, to (ISO dates on deliveredAt)
+app.get('/api/riders/:uid/history', verifyFirebaseToken, loadUserProfile, authorize('rider.history', riderTarget), async (req, res) => {
+  try {
+    if (!(await getUserProfile(req.params.uid))) return res.status(404).json({ error: 'Rider not found' });
+    const db = await getDb();
+    const match = { 'rider.uid': req.params.uid, status: 'delivered' };
+    const { from, to } = req.query;
+    if (from || to) {
+      match['rider.deliveredAt'] = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (Number.isNaN(fromDate.getTime())) return sendBadRequest(res, { from: 'from must be a valid date' });
+        match['rider.deliveredAt'].$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (Number.isNaN(toDate.getTime())) return sendBadRequest(res, { to: 'to must be a valid date' });
+        match['rider.deliveredAt'].$lte = toDate;
+      }
     }
+
+    const [deliveries, totals] = await Promise.all([
+      db.collection('orders')
+        .find(match, { projection: { firstName: 1, lastName: 1, room: 1, persons: 1, deliveryCharge: 1, grandTotal: 1, campusId: 1, deliverySlot: 1, rider: 1 } })
+        .sort({ 'rider.deliveredAt': -1 })
+        .limit(500)
+        .toArray(),
+      db.collection('orders').aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            deliveries: { $sum: 1 },
+            persons: { $sum: numericField('$persons') },
+            deliveryCharges: { $sum: numericField('$deliveryCharge') },
+            orderValue: { $sum: numericField('$grandTotal') }
+          }
+        }
+      ]).toArray()
+    ]);
+    const summary = totals[0] || { deliveries: 0, persons: 0, deliveryCharges: 0, orderValue: 0 };
+    delete summary._id;
+    res.json({
+      riderUid: req.params.uid,
+      from: from || null,
+      to: to || null,
+      summary: { ...summary, deliveryCharges: roundMoney(summary.deliveryCharges), orderValue: roundMoney(summary.orderValue) },
+      deliveries: deliveries.map(o => ({ ...o, id: String(o._id) }))
+    });
+  } catch (err) {
+    console.error('Rider history failed:', err);
+    res.status(500).json({ error: 'Failed to fetch rider history' });
+  }
+});
+
+// =========================
+// User Management API
+// =========================
+
+// Create user via Firebase Admin (prevents automatic sign-in)
+app.post('/api/users', verifyFirebaseToken, loadUserProfile, authorize('user.manage', targetFromBody), async (req, res) => {
+  try {
+    const { value, errors } = validateInput('users', req.body);
+    const fieldErrors = { ...errors };
+    ['firstName', 'lastName', 'universityId', 'campusId'].forEach(k => {
+      if (!value[k] && !fieldErrors[k]) fieldErrors[k] = `${k} is required`;
+    });
+    const password = req.body?.password;
+    if (typeof password !== 'string' || password.length < 6) fieldErrors.password = 'password must be at least 6 characters';
+    if (Object.keys(fieldErrors).length) return sendBadRequest(res, fieldErrors);
+    const { firstName, lastName, email, role, universityId, campusId, universityName, campusName, restaurantId, restaurantName } = value;
+    
+    // Validate role / campus / restaurant (restaurantId is required for restaurant managers)
+    const assignmentErrors = await userAssignmentErrors({ role, campusId, restaurantId });
+    if (assignmentErrors) return sendBadRequest(res, assignmentErrors);
+    const denial = userManagementDenial(req.userProfile, req.user.uid, { role, campusId });
+    if (denial) return sendForbidden(req, res, 'user.manage', denial);
     
     // Create user in Firebase Auth using Admin SDK
-    const userRecord = await admin.auth().createUser({
+    const userRecord = await authProvider.createUser({
       email,
       password,
       displayName: `${firstName} ${lastName}`,
     });
     
-    // Create user profile in Firestore
+    // Create user profile
     const newUser = {
       firstName,
       lastName,
@@ -539,8 +3352,9 @@ app.post('/api/users', verifyFirebaseToken, loadUserProfile, async (req, res) =>
       role,
       universityId,
       campusId,
-      universityName,
-      campusName,
+      universityName: universityName || null,
+      campusName: campusName || null,
+      isActive: true,
       createdAt: new Date().toISOString(),
       uid: userRecord.uid,
     };
@@ -551,7 +3365,9 @@ app.post('/api/users', verifyFirebaseToken, loadUserProfile, async (req, res) =>
       newUser.restaurantName = restaurantName;
     }
     
-    await admin.firestore().collection('users').doc(userRecord.uid).set(newUser);
+    await saveUserProfile(userRecord.uid, newUser);
+    await syncUserClaims(userRecord.uid, newUser);
+    await writeAuditLog(req, { action: 'user.create', targetType: 'user', targetId: userRecord.uid, after: newUser });
     
     res.status(201).json({ 
       message: 'User created successfully', 
@@ -564,6 +3380,232 @@ app.post('/api/users', verifyFirebaseToken, loadUserProfile, async (req, res) =>
   }
 });
 
+// Roles a campus admin may hand out or manage (always within their own campus)
+const CAMPUS_MANAGED_ROLES = ['user', 'restaurantManager', 'rider'];
+const USER_EDITABLE_FIELDS = ['email', 'firstName', 'lastName', 'phone', 'role', 'universityId', 'campusId', 'universityName', 'campusName', 'restaurantId', 'restaurantName'];
+
+// Returns an error message when `actor` may not manage `target` (optionally moving it to `next`)
+function userManagementDenial(actor, actorUid, target, next = target) {
+  if (isSuperAdmin(actor)) return null;
+  if (!isCampusAdmin(actor)) return 'Only super admins and campus admins can manage users';
+  if (target.uid === actorUid) return 'Campus admins cannot change their own account here';
+  if (!CAMPUS_MANAGED_ROLES.includes(target.role) || !CAMPUS_MANAGED_ROLES.includes(next.role)) {
+    return `Campus admins can only manage ${CAMPUS_MANAGED_ROLES.join(', ')} accounts`;
+  }
+  if (target.campusId !== actor.campusId || next.campusId !== actor.campusId) {
+    return 'Campus admins can only manage users on their own campus';
+  }
+  return null;
+}
+
+// Checks role / campus / restaurant consistency of a (merged) profile; returns a { field: message } map or null
+async function userAssignmentErrors(profile) {
+  if (!USER_ROLES.includes(profile.role)) return { role: `role must be one of: ${USER_ROLES.join(', ')}` };
+  if (profile.role !== 'superAdmin' && !profile.campusId) return { campusId: 'campusId is required for this role' };
+  if (profile.role === 'restaurantManager') {
+    if (!profile.restaurantId) return { restaurantId: 'restaurantId is required for restaurant managers' };
+    const db = await getDb();
+    const restaurant = await db.collection('restaurants').findOne({ _id: { $in: idCandidates(profile.restaurantId) }, deletedAt: null });
+    if (!restaurant) return { restaurantId: 'Restaurant not found' };
+    if (restaurant.campusId !== profile.campusId) return { restaurantId: 'Restaurant does not belong to the selected campus' };
+  }
+  return null;
+}
+
+// Custom claims mirror the profile's scope so clients can route without an extra lookup
+async function syncUserClaims(uid, profile) {
+  await authProvider.setCustomUserClaims(uid, {
+    role: profile.role,
+    campusId: profile.campusId || null,
+    restaurantId: profile.role === 'restaurantManager' ? profile.restaurantId || null : null
+  });
+}
+
+async function loadManagedUser(req, res) {
+  const target = await getUserProfile(req.params.uid);
+  if (!target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  const denial = userManagementDenial(req.userProfile, req.user.uid, target);
+  if (denial) {
+    sendForbidden(req, res, 'user.manage', denial);
+    return null;
+  }
+  return target;
+}
+
+// List / search users. Query: role, campusId, status=active|inactive, q (name/email/phone prefix), page, limit.
+// Reads Mongo only; Firestore-only profiles appear once scripts/migrateUserProfiles.js has run.
+app.get('/api/users', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), async (req, res) => {
+  try {
+    const { role, status, q } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = {};
+    const campusId = isCampusAdmin(req.userProfile) ? req.userProfile.campusId : req.query.campusId;
+    if (campusId) filter.campusId = String(campusId);
+    if (role) filter.role = String(role);
+    if (isCampusAdmin(req.userProfile)) {
+      filter.role = { $in: role ? CAMPUS_MANAGED_ROLES.filter(r => r === String(role)) : CAMPUS_MANAGED_ROLES };
+    }
+    if (status === 'active') filter.isActive = { $ne: false };
+    if (status === 'inactive') filter.isActive = false;
+    const term = typeof q === 'string' ? q.trim() : '';
+    if (term) {
+      const prefix = { $regex: `^${escapeRegex(term)}`, $options: 'i' };
+      filter.$or = ['firstName', 'lastName', 'email', 'phone'].map(field => ({ [field]: prefix }));
+    }
+
+    const db = await getDb();
+    const users = db.collection('users');
+    const [docs, total] = await Promise.all([
+      users.find(filter).sort({ createdAt: -1, _id: 1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      users.countDocuments(filter)
+    ]);
+
+    res.json({
+      items: docs.map(fromMongoUser),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('List users failed:', err);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+app.get('/api/users/:uid', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+    const authRecord = await authProvider.getUser(target.uid).catch(() => null);
+    res.json({ ...target, disabled: authRecord ? authRecord.disabled : null, lastSignInTime: authRecord?.metadata?.lastSignInTime || null });
+  } catch (err) {
+    console.error('Get user failed:', err);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Edit profile fields, change role, or reassign campus / restaurant
+app.patch('/api/users/:uid', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+
+    const { value, errors } = validateInput('users', req.body, { partial: true });
+    if (errors) return sendBadRequest(res, errors);
+    const update = {};
+    USER_EDITABLE_FIELDS.forEach(k => { if (k in value) update[k] = value[k]; });
+    if (!Object.keys(update).length) return sendBadRequest(res, `No editable fields provided; allowed: ${USER_EDITABLE_FIELDS.join(', ')}`);
+
+    const next = { ...target, ...update };
+    if (next.role !== 'restaurantManager') {
+      next.restaurantId = null;
+      next.restaurantName = null;
+      if (target.restaurantId) Object.assign(update, { restaurantId: null, restaurantName: null });
+    }
+    const denial = userManagementDenial(req.userProfile, req.user.uid, target, next);
+    if (denial) return sendForbidden(req, res, 'user.manage', denial);
+    if (target.uid === req.user.uid && next.role !== target.role) {
+      return sendBadRequest(res, { role: 'You cannot change your own role' });
+    }
+    const assignmentErrors = await userAssignmentErrors(next);
+    if (assignmentErrors) return sendBadRequest(res, assignmentErrors);
+
+    // Auth first: if it rejects (e.g. email taken) the profile stays untouched
+    const authUpdate = {};
+    if (update.email && update.email !== target.email) authUpdate.email = update.email;
+    if ('firstName' in update || 'lastName' in update) authUpdate.displayName = `${next.firstName || ''} ${next.lastName || ''}`.trim();
+    if (Object.keys(authUpdate).length) await authProvider.updateUser(target.uid, authUpdate);
+    if (['role', 'campusId', 'restaurantId'].some(k => k in update)) await syncUserClaims(target.uid, next);
+
+    update.updatedAt = new Date().toISOString();
+    await saveUserProfile(target.uid, update);
+    await writeAuditLog(req, { action: 'user.update', targetType: 'user', targetId: target.uid, before: target, after: { ...target, ...update }, campusId: next.campusId });
+
+    res.json({ ...target, ...update });
+  } catch (err) {
+    console.error('Update user failed:', err);
+    res.status(500).json({ error: 'Failed to update user: ' + (err.message || 'Unknown error') });
+  }
+});
+
+// Disable sign-in (Auth `disabled` + revoked sessions) and mark the profile inactive, or undo it
+async function setUserActive(req, res, isActive) {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+    if (target.uid === req.user.uid) return sendBadRequest(res, 'You cannot change your own account status');
+
+    await authProvider.updateUser(target.uid, { disabled: !isActive });
+    if (!isActive) await authProvider.revokeRefreshTokens(target.uid);
+    try {
+      await saveUserProfile(target.uid, { isActive, updatedAt: new Date().toISOString() });
+    } catch (profileErr) {
+      // Keep Auth and the profile in agreement
+      await authProvider.updateUser(target.uid, { disabled: target.isActive === false });
+      throw profileErr;
+    }
+
+    await writeAuditLog(req, {
+      action: isActive ? 'user.reactivate' : 'user.deactivate',
+      targetType: 'user',
+      targetId: target.uid,
+      before: { isActive: target.isActive !== false },
+      after: { isActive },
+      campusId: target.campusId
+    });
+    res.json({ ...target, isActive });
+  } catch (err) {
+    console.error('Change user status failed:', err);
+    res.status(500).json({ error: 'Failed to update user status: ' + (err.message || 'Unknown error') });
+  }
+}
+
+app.post('/api/users/:uid/deactivate', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), (req, res) => setUserActive(req, res, false));
+app.post('/api/users/:uid/reactivate', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), (req, res) => setUserActive(req, res, true));
+
+// Generate a password reset link for the user's email (sent on by the admin UI)
+app.post('/api/users/:uid/password-reset', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+    if (!target.email) return sendBadRequest(res, 'User has no email address');
+    const link = await authProvider.generatePasswordResetLink(target.email);
+    await writeAuditLog(req, { action: 'user.passwordReset', targetType: 'user', targetId: target.uid, campusId: target.campusId });
+    res.json({ email: target.email, link });
+  } catch (err) {
+    console.error('Password reset link failed:', err);
+    res.status(500).json({ error: 'Failed to generate password reset link: ' + (err.message || 'Unknown error') });
+  }
+});
+
+// Permanently delete the Auth account and profile
+app.delete('/api/users/:uid', verifyFirebaseToken, loadUserProfile, authorize('user.manage'), async (req, res) => {
+  try {
+    const target = await loadManagedUser(req, res);
+    if (!target) return;
+    if (target.uid === req.user.uid) return sendBadRequest(res, 'You cannot delete your own account');
+
+    try {
+      await authProvider.deleteUser(target.uid);
+    } catch (authErr) {
+      // Profile without an Auth account (already removed) can still be cleaned up
+      if (authErr.code !== 'auth/user-not-found') throw authErr;
+    }
+    await deleteUserProfile(target.uid);
+    await writeAuditLog(req, { action: 'user.delete', targetType: 'user', targetId: target.uid, before: target, campusId: target.campusId });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Delete user failed:', err);
+    res.status(500).json({ error: 'Failed to delete user: ' + (err.message || 'Unknown error') });
+  }
+});
+
 // =========================
 // New: MongoDB CRUD APIs for University/Campus/Restaurants/Menu/Mart
 // =========================
@@ -572,23 +3614,12 @@ function isSuperAdmin(profile) { return profile?.role === 'superAdmin'; }
 function isCampusAdmin(profile) { return profile?.role === 'campusAdmin'; }
 function isRestaurantManager(profile) { return profile?.role === 'restaurantManager'; }
 
-// Get orders for a specific restaurant (for restaurant managers)
-app.get('/api/orders/restaurant/:restaurantId', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+// Get orders for a specific restaurant (for restaurant managers); same list contract as GET /api/orders
+app.get('/api/orders/restaurant/:restaurantId', verifyFirebaseToken, loadUserProfile, authorize('order.listRestaurant', req => ({ restaurantIds: [req.params.restaurantId] })), async (req, res) => {
   try {
-    // Only restaurant managers can access their restaurant's orders
-    if (!isRestaurantManager(req.userProfile)) {
-      return res.status(403).json({ error: 'Restaurant manager only' });
-    }
-    
-    // Verify the restaurant manager is accessing their own restaurant
-    if (req.userProfile.restaurantId !== req.params.restaurantId) {
-      return res.status(403).json({ error: 'You can only access orders for your assigned restaurant' });
-    }
-    
     const db = await getDb();
     const { ObjectId } = require('mongodb');
     const { restaurantId } = req.params;
-    const { limit = 1000 } = req.query;
     
     // Build dual-ID filter for restaurant lookup
     const restaurantFilters = [];
@@ -607,53 +3638,237 @@ app.get('/api/orders/restaurant/:restaurantId', verifyFirebaseToken, loadUserPro
     const restaurantName = restaurant.name;
     
     // Find orders that include this restaurant by restaurantId in cart items OR by restaurantName
-    const orders = await db.collection('orders')
-      .find({
-        $or: [
-          { 'cartItemsArray.restaurantId': restaurantId },
-          { restaurantNames: restaurantName }
-        ]
-      })
-      .sort({ createdAt: -1 })
-      .limit(Number(limit))
-      .toArray();
+    const scope = {
+      $or: [
+        { 'cartItemsArray.restaurantId': restaurantId },
+        { restaurantNames: restaurantName }
+      ]
+    };
+    const page = await listOrdersPage(db, scope, { ...req.query, restaurantId: undefined }, { legacyLimit: 1000 });
+    if (page.fields) return sendBadRequest(res, page.fields);
     
     // Filter cart items to only show items from this restaurant
-    const filteredOrders = orders.map(order => {
-      // Handle orders with cartItemsArray (new format)
-      if (Array.isArray(order.cartItemsArray) && order.cartItemsArray.length > 0) {
-        const restaurantItems = order.cartItemsArray.filter(item => 
-          item.restaurantId === restaurantId || item.restaurantName === restaurantName
-        );
-        
-        return {
-          ...order,
-          cartItems: restaurantItems,
-          // Recalculate itemsTotal for just this restaurant's items
-          itemsTotal: restaurantItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-        };
-      }
-      
-      // Handle legacy orders with only cartItems string
-      return {
-        ...order,
-        cartItems: order.cartItems,
-        itemsTotal: order.itemTotal || 0
-      };
-    });
+    const filteredOrders = page.items.map(order => restaurantOrderView(order, restaurantId, restaurantName));
     
-    res.json(filteredOrders);
+    sendOrderList(res, page, filteredOrders);
   } catch (err) {
     console.error('Error fetching restaurant orders:', err);
     res.status(500).json({ error: 'Failed to fetch orders' });
   }
 });
 
+// =========================
+// Soft delete, cascade, restore and purge for universities/campuses/restaurants
+// Deleting sets `deletedAt` on the entity and every live child, tagging them all
+// with the same `deletedWith` marker so a restore or purge touches exactly that set.
+// =========================
+
+const DELETABLE_ENTITIES = {
+  university: { collection: 'universities', label: 'University', parent: null },
+  campus: { collection: 'campuses', label: 'Campus', parent: { type: 'university', field: 'universityId' } },
+  restaurant: { collection: 'restaurants', label: 'Restaurant', parent: { type: 'campus', field: 'campusId' } }
+};
+
+// Order statuses that still need the entity to exist
+const OPEN_ORDER_FILTER = { status: { $nin: ['delivered', 'cancelled'] } };
+
+// Live (not yet deleted) children of an entity, as { collection: [_id, ...] }
+async function findCascadeChildren(db, type, id) {
+  const live = { deletedAt: null };
+  const ids = docs => docs.map(d => d._id);
+  const project = { projection: { _id: 1 } };
+  const children = { campuses: [], restaurants: [], menuItems: [], martItems: [], campusSettings: [] };
+
+  let campusIds = [];
+  let restaurantIds = [id];
+  if (type === 'university') {
+    children.campuses = ids(await db.collection('campuses').find({ universityId: id, ...live }, project).toArray());
+    campusIds = children.campuses.map(String);
+  } else if (type === 'campus') {
+    campusIds = [id];
+  }
+
+  if (type !== 'restaurant') {
+    const restaurantScope = type === 'university'
+      ? { $or: [{ universityId: id }, { campusId: { $in: campusIds } }] }
+      : { campusId: id };
+    children.restaurants = ids(await db.collection('restaurants').find({ ...restaurantScope, ...live }, project).toArray());
+    restaurantIds = children.restaurants.map(String);
+    children.martItems = ids(await db.collection('martItems').find({ campusId: { $in: campusIds }, ...live }, project).toArray());
+    children.campusSettings = ids(await db.collection('campusSettings').find({ campusId: { $in: campusIds }, ...live }, project).toArray());
+  }
+
+  const menuScope = [{ restaurantId: { $in: restaurantIds } }];
+  if (campusIds.length) menuScope.push({ campusId: { $in: campusIds } });
+  children.menuItems = ids(await db.collection('menuItems').find({ $or: menuScope, ...live }, project).toArray());
+  return children;
+}
+
+function countChildren(children) {
+  return Object.fromEntries(Object.entries(children).map(([collection, list]) => [collection, list.length]));
+}
+
+// Open orders that still reference the entity or anything deleted with it
+async function countOpenOrders(db, type, id, marker) {
+  const campusIds = type === 'campus' ? [id] : [];
+  const restaurantIds = type === 'restaurant' ? [id] : [];
+  if (marker) {
+    const tagged = { deletedWith: marker };
+    const project = { projection: { _id: 1 } };
+    campusIds.push(...(await db.collection('campuses').find(tagged, project).toArray()).map(d => String(d._id)));
+    restaurantIds.push(...(await db.collection('restaurants').find(tagged, project).toArray()).map(d => String(d._id)));
+  }
+  const refs = [];
+  if (type === 'university') refs.push({ universityId: id });
+  if (campusIds.length) refs.push({ campusId: { $in: campusIds } });
+  if (restaurantIds.length) refs.push({ 'cartItemsArray.restaurantId': { $in: restaurantIds } });
+  return db.collection('orders').countDocuments({ ...OPEN_ORDER_FILTER, $or: refs });
+}
+
+// Restaurants can be managed by the campus admin of their campus; the rest are super admin only
+// DELETE /api/<entities>/:id — soft delete with cascade; ?preview=true only reports what would change
+async function softDeleteEntity(req, res, type) {
+  const { collection, label } = DELETABLE_ENTITIES[type];
+  try {
+    const db = await getDb();
+    const entity = await db.collection(collection).findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!entity) return res.status(404).json({ error: `${label} not found` });
+    if (entity.deletedAt) return res.status(409).json({ error: `${label} is already deleted`, deletedAt: entity.deletedAt });
+
+    const id = String(entity._id);
+    const children = await findCascadeChildren(db, type, id);
+    const affected = countChildren(children);
+    const target = { type, id, name: entity.name || null };
+    if (req.query.preview === 'true') return res.json({ preview: true, target, affected });
+
+    const marker = `${type}:${id}:${Date.now()}`;
+    const tombstone = { deletedAt: new Date(), deletedBy: req.user.uid, deletedWith: marker };
+    await db.collection(collection).updateOne({ _id: entity._id }, { $set: tombstone });
+    for (const [childCollection, childIds] of Object.entries(children)) {
+      if (childIds.length) {
+        await db.collection(childCollection).updateMany({ _id: { $in: childIds }, deletedAt: null }, { $set: tombstone });
+      }
+    }
+
+    await writeAuditLog(req, {
+      action: `${type}.delete`,
+      targetType: type,
+      targetId: id,
+      before: entity,
+      after: { ...entity, ...tombstone },
+      campusId: type === 'campus' ? id : entity.campusId,
+      meta: { affected, marker }
+    });
+    res.json({ target, deletedAt: tombstone.deletedAt, affected });
+  } catch (e) {
+    console.error(`${label} delete failed:`, e);
+    res.status(500).json({ error: `Failed to delete ${label.toLowerCase()}`, detail: e?.message });
+  }
+}
+
+// POST /api/<entities>/:id/restore — undoes a soft delete, including its cascaded children
+async function restoreEntity(req, res, type) {
+  const { collection, label, parent } = DELETABLE_ENTITIES[type];
+  try {
+    const db = await getDb();
+    const entity = await db.collection(collection).findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!entity) return res.status(404).json({ error: `${label} not found` });
+    if (!entity.deletedAt) return res.status(409).json({ error: `${label} is not deleted` });
+
+    if (parent) {
+      const parentDoc = await db.collection(DELETABLE_ENTITIES[parent.type].collection).findOne({ _id: { $in: idCandidates(entity[parent.field]) } });
+      if (parentDoc?.deletedAt) {
+        return res.status(409).json({ error: `Restore the ${DELETABLE_ENTITIES[parent.type].label.toLowerCase()} first; it is also deleted` });
+      }
+    }
+
+    const marker = entity.deletedWith;
+    const unset = { $unset: { deletedAt: '', deletedBy: '', deletedWith: '' } };
+    const restored = {};
+    for (const childCollection of ['universities', 'campuses', 'restaurants', 'menuItems', 'martItems', 'campusSettings']) {
+      const filter = marker ? { deletedWith: marker } : { _id: entity._id };
+      const result = await db.collection(childCollection).updateMany(filter, unset);
+      if (result.modifiedCount) restored[childCollection] = result.modifiedCount;
+    }
+
+    await writeAuditLog(req, {
+      action: `${type}.restore`,
+      targetType: type,
+      targetId: entity._id,
+      campusId: type === 'campus' ? String(entity._id) : entity.campusId,
+      meta: { restored, marker: marker || null }
+    });
+    res.json({ target: { type, id: String(entity._id), name: entity.name || null }, restored });
+  } catch (e) {
+    console.error(`${label} restore failed:`, e);
+    res.status(500).json({ error: `Failed to restore ${label.toLowerCase()}`, detail: e?.message });
+  }
+}
+
+// DELETE /api/<entities>/:id/purge — permanently removes a soft-deleted entity and
+// everything deleted with it. Super admin only; refused while open orders reference it.
+async function purgeEntity(req, res, type) {
+  const { collection, label } = DELETABLE_ENTITIES[type];
+  try {
+    const db = await getDb();
+    const entity = await db.collection(collection).findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!entity) return res.status(404).json({ error: `${label} not found` });
+    if (!entity.deletedAt) return res.status(409).json({ error: `${label} must be deleted before it can be purged` });
+
+    const id = String(entity._id);
+    if (entity.deletedWith && !entity.deletedWith.startsWith(`${type}:${id}:`)) {
+      return res.status(409).json({ error: `This ${label.toLowerCase()} was deleted together with its parent; purge the parent instead` });
+    }
+    const openOrders = await countOpenOrders(db, type, id, entity.deletedWith);
+    if (openOrders > 0) {
+      return res.status(409).json({ error: `Cannot purge: ${openOrders} open order(s) still reference this ${label.toLowerCase()}`, openOrders });
+    }
+
+    const purged = {};
+    for (const childCollection of ['universities', 'campuses', 'restaurants', 'menuItems', 'martItems', 'campusSettings']) {
+      const filter = entity.deletedWith ? { deletedWith: entity.deletedWith } : { _id: entity._id };
+      const result = await db.collection(childCollection).deleteMany(filter);
+      if (result.deletedCount) purged[childCollection] = result.deletedCount;
+    }
+
+    await writeAuditLog(req, {
+      action: `${type}.purge`,
+      targetType: type,
+      targetId: id,
+      before: entity,
+      campusId: type === 'campus' ? id : entity.campusId,
+      meta: { purged }
+    });
+    res.json({ target: { type, id, name: entity.name || null }, purged });
+  } catch (e) {
+    console.error(`${label} purge failed:`, e);
+    res.status(500).json({ error: `Failed to purge ${label.toLowerCase()}`, detail: e?.message });
+  }
+}
+
+// Update routes refuse soft-deleted documents and documents whose restaurant, campus or
+// university is soft-deleted; they come back only through restore. Returns the 409 message or null.
+const EDIT_PARENTS = [
+  { field: 'restaurantId', collection: 'restaurants', label: 'restaurant' },
+  { field: 'campusId', collection: 'campuses', label: 'campus' },
+  { field: 'universityId', collection: 'universities', label: 'university' }
+];
+
+async function deletedEditDenial(db, label, doc) {
+  if (doc.deletedAt) return `${label} is deleted. Restore it before making changes.`;
+  for (const { field, collection, label: parentLabel } of EDIT_PARENTS) {
+    if (!doc[field]) continue;
+    const parentDoc = await db.collection(collection).findOne({ _id: { $in: idCandidates(doc[field]) } }, { projection: { deletedAt: 1 } });
+    if (parentDoc?.deletedAt) return `${label} belongs to a deleted ${parentLabel}. Restore the ${parentLabel} before making changes.`;
+  }
+  return null;
+}
+
 // Universities
-app.get('/api/universities', async (req, res) => {
+app.get('/api/universities', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
-    const items = await db.collection('universities').find({}).toArray();
+    const items = await db.collection('universities').find({ deletedAt: null }).toArray();
     const normalized = items.map(u => ({ id: String(u._id), name: u.name }));
     res.json(normalized);
   } catch (e) {
@@ -661,13 +3876,14 @@ app.get('/api/universities', async (req, res) => {
   }
 });
 
-app.post('/api/universities', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  if (!isSuperAdmin(req.userProfile)) return res.status(403).json({ error: 'Only superAdmin can create universities' });
+app.post('/api/universities', verifyFirebaseToken, loadUserProfile, authorize('university.manage'), async (req, res) => {
   try {
     const db = await getDb();
-    const { name } = req.body || {};
-    if (!name) return res.status(400).json({ error: 'name is required' });
+    const { value, errors } = validateInput('universities', req.body);
+    if (errors) return sendBadRequest(res, errors);
+    const { name } = value;
     const result = await db.collection('universities').insertOne({ name });
+    await writeAuditLog(req, { action: 'university.create', targetType: 'university', targetId: result.insertedId, after: { name } });
     res.status(201).json({ id: String(result.insertedId), name });
   } catch (e) {
     console.error('University creation failed:', e);
@@ -675,13 +3891,13 @@ app.post('/api/universities', verifyFirebaseToken, loadUserProfile, async (req,
   }
 });
 
-app.patch('/api/universities/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  if (!isSuperAdmin(req.userProfile)) return res.status(403).json({ error: 'Only superAdmin can update universities' });
+app.patch('/api/universities/:id', verifyFirebaseToken, loadUserProfile, authorize('university.manage'), async (req, res) => {
   try {
     const db = await getDb();
     const { ObjectId } = require('mongodb');
-    const update = {};
-    if (req.body?.name) update.name = String(req.body.name).trim();
+    const { value: update, errors } = validateInput('universities', req.body, { partial: true });
+    if (errors) return sendBadRequest(res, errors);
+    if (!Object.keys(update).length) return sendBadRequest(res, { name: 'name is required' });
 
     // Dual-ID filter to support legacy string _id documents
     const filters = [];
@@ -693,43 +3909,36 @@ app.patch('/api/universities/:id', verifyFirebaseToken, loadUserProfile, async (
     filters.push({ _id: req.params.id });
     const filter = { $or: filters };
 
+    const before = await db.collection('universities').findOne(filter);
+    if (!before) return res.status(404).json({ error: 'University not found' });
+    const deletedDenial = await deletedEditDenial(db, 'University', before);
+    if (deletedDenial) return res.status(409).json({ error: deletedDenial });
     const upd = await db.collection('universities').updateOne(filter, { $set: update });
     if (upd.matchedCount === 0) return res.status(404).json({ error: 'University not found' });
-
-    const doc = await db.collection('universities').findOne(filter);
-    if (!doc) return res.status(404).json({ error: 'University not found after update' });
-    const normalized = { id: String(doc._id), name: doc.name };
-    res.json(normalized);
-  } catch (e) {
-    console.error('University update failed:', e);
-    res.status(500).json({ error: 'Failed to update university', detail: e?.message });
-  }
-});
-
-app.delete('/api/universities/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  if (!isSuperAdmin(req.userProfile)) return res.status(403).json({ error: 'Only superAdmin can delete universities' });
-  try {
-    const db = await getDb();
-    const { ObjectId } = require('mongodb');
-    const filters = [];
-    try { filters.push({ _id: new ObjectId(req.params.id) }); } catch (_) {}
-    filters.push({ _id: req.params.id });
-    const delRes = await db.collection('universities').deleteOne({ $or: filters });
-    if (delRes.deletedCount === 0) return res.status(404).json({ error: 'University not found' });
-    // Optionally cascade delete campuses/restaurants/menuItems if desired (not implemented here)
-    res.status(204).end();
+
+    const doc = await db.collection('universities').findOne(filter);
+    if (!doc) return res.status(404).json({ error: 'University not found after update' });
+    await writeAuditLog(req, { action: 'university.update', targetType: 'university', targetId: doc._id, before, after: doc });
+    const normalized = { id: String(doc._id), name: doc.name };
+    res.json(normalized);
   } catch (e) {
-    console.error('University delete failed:', e);
-    res.status(500).json({ error: 'Failed to delete university', detail: e?.message });
+    console.error('University update failed:', e);
+    res.status(500).json({ error: 'Failed to update university', detail: e?.message });
   }
 });
 
+app.delete('/api/universities/:id', verifyFirebaseToken, loadUserProfile, authorize('university.manage'), (req, res) => softDeleteEntity(req, res, 'university'));
+
+app.post('/api/universities/:id/restore', verifyFirebaseToken, loadUserProfile, authorize('university.manage'), (req, res) => restoreEntity(req, res, 'university'));
+
+app.delete('/api/universities/:id/purge', verifyFirebaseToken, loadUserProfile, authorize('university.manage'), (req, res) => purgeEntity(req, res, 'university'));
+
 // Campuses
-app.get('/api/campuses', async (req, res) => {
+app.get('/api/campuses', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
     const { universityId } = req.query;
-    let filter = {};
+    let filter = { deletedAt: null };
     if (universityId) filter.universityId = universityId;
     const items = await db.collection('campuses').find(filter).toArray();
     const normalized = items.map(c => ({ id: String(c._id), universityId: c.universityId, name: c.name }));
@@ -739,13 +3948,14 @@ app.get('/api/campuses', async (req, res) => {
   }
 });
 
-app.post('/api/campuses', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  if (!isSuperAdmin(req.userProfile)) return res.status(403).json({ error: 'Only superAdmin can create campuses' });
+app.post('/api/campuses', verifyFirebaseToken, loadUserProfile, authorize('campus.manage'), async (req, res) => {
   try {
     const db = await getDb();
-    const { universityId, name } = req.body || {};
-    if (!universityId || !name) return res.status(400).json({ error: 'universityId and name are required' });
+    const { value, errors } = validateInput('campuses', req.body);
+    if (errors) return sendBadRequest(res, errors);
+    const { universityId, name } = value;
     const result = await db.collection('campuses').insertOne({ universityId, name });
+    await writeAuditLog(req, { action: 'campus.create', targetType: 'campus', targetId: result.insertedId, after: { universityId, name }, campusId: String(result.insertedId) });
     res.status(201).json({ id: String(result.insertedId), universityId, name });
   } catch (e) {
     console.error('Campus creation failed:', e);
@@ -753,13 +3963,15 @@ app.post('/api/campuses', verifyFirebaseToken, loadUserProfile, async (req, res)
   }
 });
 
-app.patch('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  if (!isSuperAdmin(req.userProfile)) return res.status(403).json({ error: 'Only superAdmin can update campuses' });
+app.patch('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, authorize('campus.manage'), async (req, res) => {
   try {
     const db = await getDb();
     const { ObjectId } = require('mongodb');
-    const update = {};
-    if (req.body?.name) update.name = req.body.name;
+    const { value, errors } = validateInput('campuses', req.body, { partial: true });
+    if (errors) return sendBadRequest(res, errors);
+    // Moving a campus to another university is not supported here
+    const update = 'name' in value ? { name: value.name } : {};
+    if (!Object.keys(update).length) return sendBadRequest(res, { name: 'name is required' });
 
     // Build filter supporting both ObjectId and string _id (for legacy rows)
     const filters = [];
@@ -771,6 +3983,13 @@ app.patch('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, async (req,
     filters.push({ _id: req.params.id });
     const filter = { $or: filters };
 
+    const before = await db.collection('campuses').findOne(filter);
+    if (!before) {
+      return res.status(404).json({ error: 'Campus not found' });
+    }
+    const deletedDenial = await deletedEditDenial(db, 'Campus', before);
+    if (deletedDenial) return res.status(409).json({ error: deletedDenial });
+
     // Use updateOne + findOne to avoid driver return shape issues
     const upd = await db.collection('campuses').updateOne(filter, { $set: update });
     if (upd.matchedCount === 0) {
@@ -781,6 +4000,7 @@ app.patch('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, async (req,
       // Extremely unlikely if matched; fallback
       return res.status(404).json({ error: 'Campus not found after update' });
     }
+    await writeAuditLog(req, { action: 'campus.update', targetType: 'campus', targetId: doc._id, before, after: doc, campusId: String(doc._id) });
     const normalized = { id: String(doc._id), universityId: doc.universityId, name: doc.name };
     res.json(normalized);
   } catch (e) {
@@ -789,32 +4009,21 @@ app.patch('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, async (req,
   }
 });
 
-app.delete('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  if (!isSuperAdmin(req.userProfile)) return res.status(403).json({ error: 'Only superAdmin can delete campuses' });
-  try {
-    const db = await getDb();
-    const { ObjectId } = require('mongodb');
-    const filters = [];
-    try {
-      filters.push({ _id: new ObjectId(req.params.id) });
-    } catch (e) { /* ignore */ }
-    filters.push({ _id: req.params.id });
-    const result = await db.collection('campuses').deleteOne({ $or: filters });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'Campus not found' });
-    res.status(204).end();
-  } catch (e) {
-    console.error('Campus delete failed:', e);
-    res.status(500).json({ error: 'Failed to delete campus', detail: e?.message });
-  }
-});
+app.delete('/api/campuses/:id', verifyFirebaseToken, loadUserProfile, authorize('campus.manage'), (req, res) => softDeleteEntity(req, res, 'campus'));
+
+app.post('/api/campuses/:id/restore', verifyFirebaseToken, loadUserProfile, authorize('campus.manage'), (req, res) => restoreEntity(req, res, 'campus'));
+
+app.delete('/api/campuses/:id/purge', verifyFirebaseToken, loadUserProfile, authorize('campus.manage'), (req, res) => purgeEntity(req, res, 'campus'));
 
 // Restaurants
-app.get('/api/restaurants', async (req, res) => {
+app.get('/api/restaurants', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
     const { campusId } = req.query;
-    const filter = campusId ? { campusId } : {};
+    const filter = campusId ? { campusId, deletedAt: null } : { deletedAt: null };
     const items = await db.collection('restaurants').find(filter).toArray();
+    const timeZoneFor = await campusTimezoneLookup(db, items.map(r => r.campusId));
+    const now = new Date();
     const normalized = items.map(r => ({
       id: String(r._id),
       campusId: r.campusId,
@@ -825,6 +4034,9 @@ app.get('/api/restaurants', async (req, res) => {
       openTime: r.openTime,
       closeTime: r.closeTime,
       is24x7: r.is24x7,
+      schedule: r.schedule || null,
+      holidays: r.holidays || [],
+      ...restaurantOpenState(r, timeZoneFor(r.campusId), now),
       // Back-compat: some records may store imageUrl instead of photoURL
       photoURL: r.photoURL || r.imageUrl || null
     }));
@@ -835,7 +4047,7 @@ app.get('/api/restaurants', async (req, res) => {
 });
 
 // Get single restaurant by ID
-app.get('/api/restaurants/:id', async (req, res) => {
+app.get('/api/restaurants/:id', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
     const { id } = req.params;
@@ -843,31 +4055,34 @@ app.get('/api/restaurants/:id', async (req, res) => {
     
     let restaurant;
     try {
-      restaurant = await db.collection('restaurants').findOne({ _id: new ObjectId(id) });
+      restaurant = await db.collection('restaurants').findOne({ _id: new ObjectId(id), deletedAt: null });
     } catch (_) {
-      restaurant = await db.collection('restaurants').findOne({ _id: id });
+      restaurant = await db.collection('restaurants').findOne({ _id: id, deletedAt: null });
     }
     
     if (!restaurant) {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
     
+    const timeZoneFor = await campusTimezoneLookup(db, [restaurant.campusId]);
     res.json({
       id: String(restaurant._id),
-      ...restaurant
+      ...restaurant,
+      ...restaurantOpenState(restaurant, timeZoneFor(restaurant.campusId))
     });
   } catch (e) {
     res.status(500).json({ error: 'Failed to fetch restaurant' });
   }
 });
 
-app.post('/api/restaurants', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.post('/api/restaurants', verifyFirebaseToken, loadUserProfile, authorize('restaurant.create', targetFromBody), async (req, res) => {
   try {
     const db = await getDb();
-    const { campusId, universityId, name, location, cuisine, openTime, closeTime, is24x7, photoURL } = req.body || {};
-    if (!campusId || !universityId || !name) return res.status(400).json({ error: 'campusId, universityId, name are required' });
-    if (isCampusAdmin(req.userProfile) && campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed for this campus' });
-    
+    const { value, errors } = validateInput('restaurants', req.body);
+    const hoursErrors = validateOpeningHours(value);
+    if (errors || hoursErrors) return sendBadRequest(res, { ...hoursErrors, ...errors });
+    const { campusId, universityId, name, location, cuisine, openTime, closeTime, is24x7, photoURL, schedule, holidays } = value;
+ 
     const doc = { 
       campusId, 
       universityId, 
@@ -877,6 +4092,8 @@ app.post('/api/restaurants', verifyFirebaseToken, loadUserProfile, async (req, r
       openTime: openTime || '10:00 AM', 
       closeTime: closeTime || '10:00 PM', 
       is24x7: is24x7 ?? true,
+      schedule: schedule || null, // Optional per-day windows, e.g. { fri: [{ open: '2:00 PM', close: '1:00 AM' }] }
+      holidays: holidays || [], // Whole-day closures: [{ date: 'YYYY-MM-DD', reason }]
       photoURL: photoURL || null, // ALWAYS include photoURL field
       createdAt: new Date(),
       updatedAt: new Date()
@@ -886,6 +4103,7 @@ app.post('/api/restaurants', verifyFirebaseToken, loadUserProfile, async (req, r
     const result = await db.collection('restaurants').insertOne(doc);
     const created = { ...doc, id: String(result.insertedId), _id: result.insertedId };
     console.log('✅ Restaurant created with ID:', created.id);
+    await writeAuditLog(req, { action: 'restaurant.create', targetType: 'restaurant', targetId: result.insertedId, after: doc });
     res.status(201).json(created);
   } catch (e) {
     console.error('❌ Restaurant creation failed:', e);
@@ -893,7 +4111,7 @@ app.post('/api/restaurants', verifyFirebaseToken, loadUserProfile, async (req, r
   }
 });
 
-app.patch('/api/restaurants/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.patch('/api/restaurants/:id', verifyFirebaseToken, loadUserProfile, authorize('restaurant.update', restaurantTarget), async (req, res) => {
   try {
     console.log('🔵 PATCH /api/restaurants/:id - Request received');
     console.log('🔵 Request body:', JSON.stringify(req.body, null, 2));
@@ -905,26 +4123,31 @@ app.patch('/api/restaurants/:id', verifyFirebaseToken, loadUserProfile, async (r
     try {
       _id = new ObjectId(req.params.id);
     } catch (e) {
-      return res.status(400).json({ error: 'Invalid restaurant ID format' });
+      return sendBadRequest(res, { id: 'Invalid restaurant ID format' });
     }
     const existing = await db.collection('restaurants').findOne({ _id });
     if (!existing) return res.status(404).json({ error: 'Restaurant not found' });
-    if (isCampusAdmin(req.userProfile) && existing.campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed' });
+    const deletedDenial = await deletedEditDenial(db, 'Restaurant', existing);
+    if (deletedDenial) return res.status(409).json({ error: deletedDenial });
+    const { value, errors } = validateInput('restaurants', req.body, { partial: true });
+    const hoursErrors = validateOpeningHours(value);
+    if (errors || hoursErrors) return sendBadRequest(res, { ...hoursErrors, ...errors });
     
     const update = { updatedAt: new Date() };
     // Include photoURL in update even if null (to clear it if needed)
-    ['name','location','cuisine','openTime','closeTime','is24x7','photoURL'].forEach(k => { 
-      if (k in req.body) update[k] = req.body[k]; 
+    ['name','location','cuisine','openTime','closeTime','is24x7','schedule','holidays','photoURL'].forEach(k => { 
+      if (k in value) update[k] = value[k]; 
     });
     
     console.log('📝 Updating restaurant', req.params.id, 'with update object:', JSON.stringify(update, null, 2));
     const result = await db.collection('restaurants').findOneAndUpdate(
       { _id }, 
       { $set: update }, 
-      { returnDocument: 'after' }
+      { returnDocument: 'after', includeResultMetadata: true }
     );
     console.log('✅ Restaurant updated successfully');
     console.log('✅ Updated document photoURL:', result.value?.photoURL);
+    await writeAuditLog(req, { action: 'restaurant.update', targetType: 'restaurant', targetId: _id, before: existing, after: result.value });
     res.json(result.value);
   } catch (e) {
     console.error('❌ Restaurant update failed:', e);
@@ -932,36 +4155,20 @@ app.patch('/api/restaurants/:id', verifyFirebaseToken, loadUserProfile, async (r
   }
 });
 
-app.delete('/api/restaurants/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
-  try {
-    const db = await getDb();
-    const { ObjectId } = require('mongodb');
-    let _id;
-    try {
-      _id = new ObjectId(req.params.id);
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid restaurant ID format' });
-    }
-    const existing = await db.collection('restaurants').findOne({ _id });
-    if (!existing) return res.status(404).json({ error: 'Restaurant not found' });
-    if (isCampusAdmin(req.userProfile) && existing.campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed' });
-    await db.collection('restaurants').deleteOne({ _id });
-    // Optionally cascade delete menuItems of this restaurant (not implemented here)
-    res.status(204).end();
-  } catch (e) {
-    console.error('Restaurant delete failed:', e);
-    res.status(500).json({ error: 'Failed to delete restaurant', detail: e?.message });
-  }
-});
+app.delete('/api/restaurants/:id', verifyFirebaseToken, loadUserProfile, authorize('restaurant.delete', restaurantTarget), (req, res) => softDeleteEntity(req, res, 'restaurant'));
+
+app.post('/api/restaurants/:id/restore', verifyFirebaseToken, loadUserProfile, authorize('restaurant.delete', restaurantTarget), (req, res) => restoreEntity(req, res, 'restaurant'));
+
+app.delete('/api/restaurants/:id/purge', verifyFirebaseToken, loadUserProfile, authorize('restaurant.purge'), (req, res) => purgeEntity(req, res, 'restaurant'));
 
 // Menu Items
-app.get('/api/menu-items', async (req, res) => {
+app.get('/api/menu-items', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
     const { restaurantId, campusId } = req.query;
     
     // Build query filter
-    const filter = {};
+    const filter = { deletedAt: null };
     if (restaurantId) filter.restaurantId = restaurantId;
     if (campusId) filter.campusId = campusId;
     
@@ -984,31 +4191,12 @@ app.get('/api/menu-items', async (req, res) => {
   }
 });
 
-app.post('/api/menu-items', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.post('/api/menu-items', verifyFirebaseToken, loadUserProfile, authorize('menuItem.manage', targetFromBody), async (req, res) => {
   try {
     const db = await getDb();
-    const { restaurantId, campusId, name, price, photoURL, description, isAvailable } = req.body || {};
-
-    // Basic validation with clear messages
-    if (!restaurantId || typeof restaurantId !== 'string') {
-      return res.status(400).json({ error: 'restaurantId is required' });
-    }
-    if (!campusId || typeof campusId !== 'string') {
-      return res.status(400).json({ error: 'campusId is required' });
-    }
-    if (!name || typeof name !== 'string' || !name.trim()) {
-      return res.status(400).json({ error: 'name is required' });
-    }
-    if (price === undefined || price === null) {
-      return res.status(400).json({ error: 'price is required' });
-    }
-    const numericPrice = typeof price === 'number' ? price : parseFloat(price);
-    if (Number.isNaN(numericPrice) || numericPrice <= 0) {
-      return res.status(400).json({ error: 'price must be a positive number' });
-    }
-    if (isCampusAdmin(req.userProfile) && campusId !== req.userProfile.campusId) {
-      return res.status(403).json({ error: 'Not allowed for this campus' });
-    }
+    const { value, errors } = validateInput('menuItems', req.body);
+    if (errors) return sendBadRequest(res, errors);
+    const { restaurantId, campusId, name, price: numericPrice, photoURL, description, isAvailable } = value;
 
     // Verify the restaurant exists and belongs to the provided campus
     let restaurant;
@@ -1017,20 +4205,20 @@ app.post('/api/menu-items', verifyFirebaseToken, loadUserProfile, async (req, re
       const _id = new ObjectId(restaurantId);
       restaurant = await db.collection('restaurants').findOne({ _id });
     } catch (convErr) {
-      return res.status(400).json({ error: 'Invalid restaurantId format' });
+      return sendBadRequest(res, { restaurantId: 'Invalid restaurantId format' });
     }
     if (!restaurant) {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
     if (restaurant.campusId !== campusId) {
-      return res.status(400).json({ error: 'Restaurant does not belong to the selected campus' });
+      return sendBadRequest(res, { restaurantId: 'Restaurant does not belong to the selected campus' });
     }
 
     const { Double } = require('mongodb');
     const doc = {
       restaurantId,
       campusId,
-      name: name.trim(),
+      name,
       price: new Double(Number(numericPrice)), // Force BSON Double to satisfy validator
       isAvailable: isAvailable ?? true,
       createdAt: new Date()
@@ -1039,13 +4227,10 @@ app.post('/api/menu-items', verifyFirebaseToken, loadUserProfile, async (req, re
     if (restaurant.universityId && typeof restaurant.universityId === 'string') {
       doc.universityId = restaurant.universityId;
     }
-    if (photoURL && typeof photoURL === 'string' && photoURL.trim()) {
-      doc.photoURL = photoURL.trim();
-    }
-    if (description && typeof description === 'string' && description.trim()) {
-      doc.description = description.trim();
-    }
+    if (photoURL) doc.photoURL = photoURL;
+    if (description) doc.description = description;
   const result = await db.collection('menuItems').insertOne(doc);
+  await writeAuditLog(req, { action: 'menuItem.create', targetType: 'menuItem', targetId: result.insertedId, after: { ...doc, price: Number(doc.price.valueOf()) } });
   // Normalize response to plain number for price
   res.status(201).json({ ...doc, price: Number(doc.price.valueOf()), _id: result.insertedId });
   } catch (e) {
@@ -1060,106 +4245,227 @@ app.post('/api/menu-items', verifyFirebaseToken, loadUserProfile, async (req, re
   }
 });
 
-app.patch('/api/menu-items/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.patch('/api/menu-items/:id', verifyFirebaseToken, loadUserProfile, authorize('menuItem.manage', menuItemTarget), async (req, res) => {
   try {
     const db = await getDb();
     const { ObjectId } = require('mongodb');
     const _id = new ObjectId(req.params.id);
     const existing = await db.collection('menuItems').findOne({ _id });
     if (!existing) return res.status(404).json({ error: 'Not found' });
-    if (isCampusAdmin(req.userProfile) && existing.campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed' });
+    const deletedDenial = await deletedEditDenial(db, 'Menu item', existing);
+    if (deletedDenial) return res.status(409).json({ error: deletedDenial });
+    const { value, errors } = validateInput('menuItems', req.body, { partial: true });
+    if (errors) return sendBadRequest(res, errors);
     const update = {};
     const { Double } = require('mongodb');
     ['name','price','photoURL','description','isAvailable'].forEach(k => {
-      if (k in req.body) {
-        if (k === 'price') {
-          const val = parseFloat(req.body[k]);
-          if (!Number.isNaN(val)) update[k] = new Double(Number(val));
-        } else {
-          update[k] = req.body[k];
-        }
-      }
+      if (k in value) update[k] = k === 'price' ? new Double(value.price) : value[k];
     });
     update.updatedAt = new Date();
-    const result = await db.collection('menuItems').findOneAndUpdate({ _id }, { $set: update }, { returnDocument: 'after' });
+    const result = await db.collection('menuItems').findOneAndUpdate({ _id }, { $set: update }, { returnDocument: 'after', includeResultMetadata: true });
+    await writeAuditLog(req, { action: 'menuItem.update', targetType: 'menuItem', targetId: _id, before: existing, after: result.value });
     res.json(result.value);
   } catch (e) {
     res.status(500).json({ error: 'Failed to update menu item' });
   }
 });
 
-app.delete('/api/menu-items/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.delete('/api/menu-items/:id', verifyFirebaseToken, loadUserProfile, authorize('menuItem.manage', menuItemTarget), async (req, res) => {
   try {
     const db = await getDb();
     const { ObjectId } = require('mongodb');
     const _id = new ObjectId(req.params.id);
     const existing = await db.collection('menuItems').findOne({ _id });
     if (!existing) return res.status(404).json({ error: 'Not found' });
-    if (isCampusAdmin(req.userProfile) && existing.campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed' });
     await db.collection('menuItems').deleteOne({ _id });
+    await writeAuditLog(req, { action: 'menuItem.delete', targetType: 'menuItem', targetId: _id, before: existing });
     res.status(204).end();
   } catch (e) {
     res.status(500).json({ error: 'Failed to delete menu item' });
   }
 });
 
-// Menu Items Bulk
-app.post('/api/menu-items/bulk', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+// Menu Items Bulk import
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF/LF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// CSV text -> item objects keyed by the (case-insensitive) header row
+function csvToMenuRows(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+  const aliases = { photourl: 'photoURL', imageurl: 'photoURL', isavailable: 'isAvailable', available: 'isAvailable' };
+  const keys = header.map(h => {
+    const key = h.trim().toLowerCase();
+    return aliases[key] || key;
+  });
+  return lines.map(cells => Object.fromEntries(keys.map((k, i) => [k, cells[i] !== undefined ? cells[i].trim() : undefined])));
+}
+
+// Options live in the query string for CSV bodies, or in the JSON body
+const bulkImportTarget = req => targetFromBody({ body: typeof req.body === 'string' ? req.query : { ...req.query, ...(req.body || {}) } });
+
+// Accepts JSON { restaurantId, campusId, items | csv, dryRun, markMissingUnavailable }
+// or a text/csv body with those options in the query string. Upserts by name + restaurantId.
+app.post('/api/menu-items/bulk', verifyFirebaseToken, loadUserProfile, bodyParser.text({ type: ['text/csv', 'application/csv'], limit: '2mb' }), authorize('menuItem.manage', bulkImportTarget), async (req, res) => {
   try {
     const db = await getDb();
-    const { restaurantId, campusId, items } = req.body || {};
-    if (!restaurantId || !campusId || !Array.isArray(items)) return res.status(400).json({ error: 'restaurantId, campusId and items array required' });
-    if (isCampusAdmin(req.userProfile) && campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed for this campus' });
+    const isCsvBody = typeof req.body === 'string';
+    const options = isCsvBody ? req.query : { ...req.query, ...(req.body || {}) };
+    const { restaurantId, campusId } = options;
+    const optionErrors = {};
+    // Same true/false spellings as the JSON API (schemas.js); omitted or empty means false
+    const [dryRun, markMissingUnavailable] = ['dryRun', 'markMissingUnavailable'].map(name => {
+      const raw = options[name];
+      if (raw === undefined || raw === null || raw === '') return false;
+      const value = coerceBoolean(raw);
+      if (value === undefined) optionErrors[name] = `${name} must be true or false`;
+      return value === true;
+    });
+
+    let rows;
+    if (isCsvBody) rows = csvToMenuRows(req.body);
+    else if (typeof req.body?.csv === 'string') rows = csvToMenuRows(req.body.csv);
+    else rows = req.body?.items;
+
+    if (!restaurantId) optionErrors.restaurantId = 'restaurantId is required';
+    if (!campusId) optionErrors.campusId = 'campusId is required';
+    if (!Array.isArray(rows)) optionErrors.items = 'items array (or CSV) is required';
+    if (Object.keys(optionErrors).length) return sendBadRequest(res, optionErrors);
 
     // Verify restaurant exists and belongs to campus
     let restaurant;
     try {
       const { ObjectId } = require('mongodb');
-      restaurant = await db.collection('restaurants').findOne({ _id: new ObjectId(restaurantId) });
+      restaurant = await db.collection('restaurants').findOne({ _id: new ObjectId(restaurantId), deletedAt: null });
     } catch (e) {
-      return res.status(400).json({ error: 'Invalid restaurantId format' });
+      return sendBadRequest(res, { restaurantId: 'Invalid restaurantId format' });
     }
     if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
-    if (restaurant.campusId !== campusId) return res.status(400).json({ error: 'Restaurant does not belong to the selected campus' });
+    if (restaurant.campusId !== campusId) return sendBadRequest(res, { restaurantId: 'Restaurant does not belong to the selected campus' });
+
+    const { Double } = require('mongodb');
+    // Soft-deleted items are tombstones kept for restore; a re-imported name becomes a new visible item
+    const existingItems = await db.collection('menuItems').find({ restaurantId, deletedAt: null }).toArray();
+    const existingByName = new Map(existingItems.map(m => [String(m.name || '').trim().toLowerCase(), m]));
+    const seen = new Set();
+    const results = [];
+    const ops = [];
+    const now = new Date();
+
+    rows.forEach((r, index) => {
+      // Row numbers are 1-based data rows (CSV header excluded)
+      const row = index + 1;
+      const { value: item, errors: rowErrors } = validateInput('menuItems', { ...r, restaurantId, campusId });
+      const name = item.name || (typeof r?.name === 'string' ? r.name.trim() : undefined);
+      if (rowErrors) return results.push({ row, name, action: 'error', error: Object.values(rowErrors).join('; '), fields: rowErrors });
+      const key = name.toLowerCase();
+      if (seen.has(key)) return results.push({ row, name, action: 'error', error: 'Duplicate name in upload', fields: { name: 'Duplicate name in upload' } });
+      seen.add(key);
+
+      const { price } = item;
+      const fields = { name, price };
+      if (item.isAvailable !== undefined && item.isAvailable !== null) fields.isAvailable = item.isAvailable;
+      if (item.description) fields.description = item.description;
+      if (item.photoURL) fields.photoURL = item.photoURL;
 
-    const docs = items
-      .filter(Boolean)
-      .map(r => {
-        const { Double } = require('mongodb');
+      const existing = existingByName.get(key);
+      if (!existing) {
         const doc = {
           restaurantId,
           campusId,
-          name: String(r.name || '').trim(),
-          price: new Double(Number(parseFloat(r.price))), // Force BSON Double
-          isAvailable: r.isAvailable ?? true,
-          createdAt: new Date()
+          ...fields,
+          price: new Double(price), // Force BSON Double
+          isAvailable: fields.isAvailable ?? true,
+          createdAt: now
         };
-        if (r.photoURL && typeof r.photoURL === 'string' && r.photoURL.trim()) {
-          doc.photoURL = r.photoURL.trim();
-        }
-        if (r.description && typeof r.description === 'string' && r.description.trim()) {
-          doc.description = r.description.trim();
-        }
-        return doc;
-      })
-      .filter(d => d.name && !Number.isNaN(d.price) && d.price > 0);
+        if (restaurant.universityId && typeof restaurant.universityId === 'string') doc.universityId = restaurant.universityId;
+        ops.push({ insertOne: { document: doc } });
+        return results.push({ row, name, action: 'created' });
+      }
+
+      const changed = Object.keys(fields).filter(k => (k === 'price' ? toNumber(existing.price) !== price : existing[k] !== fields[k]));
+      if (!changed.length) return results.push({ row, name, id: String(existing._id), action: 'skipped' });
+      const set = { updatedAt: now };
+      changed.forEach(k => { set[k] = k === 'price' ? new Double(price) : fields[k]; });
+      ops.push({ updateOne: { filter: { _id: existing._id }, update: { $set: set } } });
+      results.push({ row, name, id: String(existing._id), action: 'updated', changed });
+    });
+
+    const missing = markMissingUnavailable
+      ? existingItems.filter(m => !seen.has(String(m.name || '').trim().toLowerCase()) && m.isAvailable !== false)
+      : [];
+    if (missing.length) {
+      ops.push({ updateMany: { filter: { _id: { $in: missing.map(m => m._id) } }, update: { $set: { isAvailable: false, updatedAt: now } } } });
+    }
 
-    if (!docs.length) return res.status(400).json({ error: 'No valid items to import' });
-    const result = await db.collection('menuItems').insertMany(docs);
-    res.status(201).json({ insertedCount: result.insertedCount });
+    const summary = {
+      created: results.filter(r => r.action === 'created').length,
+      updated: results.filter(r => r.action === 'updated').length,
+      skipped: results.filter(r => r.action === 'skipped').length,
+      errors: results.filter(r => r.action === 'error').length,
+      markedUnavailable: missing.length
+    };
+    const markedUnavailable = missing.map(m => ({ id: String(m._id), name: m.name }));
+
+    if (dryRun) return res.json({ dryRun: true, summary, rows: results, markedUnavailable });
+    if (!ops.length && summary.errors) return sendBadRequest(res, { items: 'No valid items to import' }, { summary, rows: results });
+
+    if (ops.length) {
+      const result = await db.collection('menuItems').bulkWrite(ops, { ordered: false });
+      // Attach new ids to created rows in insert order
+      const insertedIds = Object.values(result.insertedIds || {});
+      results.filter(r => r.action === 'created').forEach((r, i) => { if (insertedIds[i]) r.id = String(insertedIds[i]); });
+    }
+    await writeAuditLog(req, {
+      action: 'menuItem.import',
+      targetType: 'restaurant',
+      targetId: restaurantId,
+      campusId,
+      meta: { summary, markedUnavailable }
+    });
+
+    res.status(summary.created ? 201 : 200).json({ dryRun: false, summary, insertedCount: summary.created, rows: results, markedUnavailable });
   } catch (e) {
     res.status(500).json({ error: 'Failed to bulk import menu items', detail: e?.message || String(e) });
   }
 });
 
 // Mart Items
-app.get('/api/mart-items', async (req, res) => {
+app.get('/api/mart-items', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
-    const { campusId } = req.query;
+    const { campusId, hideSoldOut } = req.query;
     
     // Build query filter - if no campusId provided, fetch all
-    const filter = campusId ? { campusId } : {};
+    const filter = campusId ? { campusId, deletedAt: null } : { deletedAt: null };
+    // Untracked stock (null/missing) never counts as sold out
+    if (hideSoldOut === 'true') filter.$or = [{ stock: { $gt: 0 } }, { stock: null }];
     
     const items = await db.collection('martItems').find(filter).toArray();
     const normalized = items.map(x => ({
@@ -1171,6 +4477,7 @@ app.get('/api/mart-items', async (req, res) => {
       description: x.description,
       category: x.category,
       stock: x.stock,
+      inStock: typeof x.stock !== 'number' || x.stock > 0,
       createdAt: x.createdAt,
       updatedAt: x.updatedAt
     }));
@@ -1180,62 +4487,203 @@ app.get('/api/mart-items', async (req, res) => {
   }
 });
 
-app.post('/api/mart-items', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.post('/api/mart-items', verifyFirebaseToken, loadUserProfile, authorize('martItem.manage', targetFromBody), async (req, res) => {
   try {
     const db = await getDb();
-    const { campusId, name, price, photoURL, description, category, stock } = req.body || {};
-    if (!campusId || !name || price === undefined) return res.status(400).json({ error: 'campusId, name, price required' });
-    if (isCampusAdmin(req.userProfile) && campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed for this campus' });
+    const { value, errors } = validateInput('martItems', req.body);
+    if (errors) return sendBadRequest(res, errors);
+    const { campusId, name, price, photoURL, description, category, stock } = value;
     const doc = { 
       campusId, 
       name, 
-      price: Number(parseFloat(price)), // Ensure proper number type
+      price,
       photoURL: photoURL || null, 
       description: description || null, 
       category: category || '', 
-      stock: Number.isFinite(parseInt(stock)) ? parseInt(stock) : 0, 
+      stock: stock ?? null, // No stock given: untracked, never sold out
       createdAt: new Date() 
     };
     const result = await db.collection('martItems').insertOne(doc);
+    await writeAuditLog(req, { action: 'martItem.create', targetType: 'martItem', targetId: result.insertedId, after: doc });
     res.status(201).json({ ...doc, _id: result.insertedId });
   } catch (e) {
     res.status(500).json({ error: 'Failed to create mart item', detail: e?.message || String(e) });
   }
 });
 
-app.patch('/api/mart-items/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.patch('/api/mart-items/:id', verifyFirebaseToken, loadUserProfile, authorize('martItem.manage', martItemTarget), async (req, res) => {
   try {
     const db = await getDb();
     const { ObjectId } = require('mongodb');
     const _id = new ObjectId(req.params.id);
     const existing = await db.collection('martItems').findOne({ _id });
     if (!existing) return res.status(404).json({ error: 'Not found' });
-    if (isCampusAdmin(req.userProfile) && existing.campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed' });
+    const deletedDenial = await deletedEditDenial(db, 'Mart item', existing);
+    if (deletedDenial) return res.status(409).json({ error: deletedDenial });
+    const { value, errors } = validateInput('martItems', req.body, { partial: true });
+    if (errors) return sendBadRequest(res, errors);
     const update = {};
-    ['name','price','photoURL','description','category','stock'].forEach(k => { if (k in req.body) update[k] = k === 'price' ? parseFloat(req.body[k]) : req.body[k]; });
+    ['name','price','photoURL','description','category','stock'].forEach(k => { if (k in value) update[k] = value[k]; });
     update.updatedAt = new Date();
-    const result = await db.collection('martItems').findOneAndUpdate({ _id }, { $set: update }, { returnDocument: 'after' });
+    const result = await db.collection('martItems').findOneAndUpdate({ _id }, { $set: update }, { returnDocument: 'after', includeResultMetadata: true });
+    await writeAuditLog(req, { action: 'martItem.update', targetType: 'martItem', targetId: _id, before: existing, after: result.value });
     res.json(result.value);
   } catch (e) {
     res.status(500).json({ error: 'Failed to update mart item' });
   }
 });
 
-app.delete('/api/mart-items/:id', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.delete('/api/mart-items/:id', verifyFirebaseToken, loadUserProfile, authorize('martItem.manage', martItemTarget), async (req, res) => {
   try {
     const db = await getDb();
     const { ObjectId } = require('mongodb');
     const _id = new ObjectId(req.params.id);
     const existing = await db.collection('martItems').findOne({ _id });
     if (!existing) return res.status(404).json({ error: 'Not found' });
-    if (isCampusAdmin(req.userProfile) && existing.campusId !== req.userProfile.campusId) return res.status(403).json({ error: 'Not allowed' });
     await db.collection('martItems').deleteOne({ _id });
+    await writeAuditLog(req, { action: 'martItem.delete', targetType: 'martItem', targetId: _id, before: existing });
     res.status(204).end();
   } catch (e) {
     res.status(500).json({ error: 'Failed to delete mart item' });
   }
 });
 
+// =========================
+// Promo Codes API
+// =========================
+
+// List promo codes: super admin sees all (optionally ?campusId=), campus admins their
+// campus, restaurant managers their restaurant's codes
+app.get('/api/promo-codes', verifyFirebaseToken, loadUserProfile, authorize('promoCode.manage'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { role, campusId, restaurantId } = req.userProfile;
+    const filter = {};
+    if (role === 'campusAdmin') filter.campusId = campusId;
+    else if (role === 'restaurantManager') filter.restaurantId = String(restaurantId);
+    else if (req.query.campusId) filter.campusId = String(req.query.campusId);
+    if (req.query.active === 'true') filter.isActive = { $ne: false };
+    const promos = await db.collection('promoCodes').find(filter).sort({ createdAt: -1 }).toArray();
+    res.json(promos);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+app.post('/api/promo-codes', verifyFirebaseToken, loadUserProfile, authorize('promoCode.manage', targetFromBody), async (req, res) => {
+  try {
+    const db = await getDb();
+    const body = { ...req.body, code: normalizePromoCode(req.body?.code) };
+    const { value, errors } = validateInput('promoCodes', body);
+    const fieldErrors = { ...errors, ...(errors ? {} : promoRuleErrors(value)) };
+    if (Object.keys(fieldErrors).length) return sendBadRequest(res, fieldErrors);
+
+    if (value.restaurantId) {
+      const restaurant = await db.collection('restaurants').findOne({ _id: { $in: idCandidates(value.restaurantId) }, deletedAt: null });
+      if (!restaurant || restaurant.campusId !== value.campusId) {
+        return sendBadRequest(res, { restaurantId: 'Restaurant not found on this campus' });
+      }
+    }
+
+    const doc = {
+      code: value.code,
+      description: value.description || null,
+      campusId: value.campusId,
+      restaurantId: value.restaurantId || null,
+      discountType: value.discountType,
+      value: value.discountType === 'freeDelivery' ? null : value.value,
+      maxDiscount: value.maxDiscount ?? null,
+      minOrderValue: value.minOrderValue ?? null,
+      startsAt: value.startsAt || null,
+      endsAt: value.endsAt || null,
+      maxUses: value.maxUses ?? null,
+      maxUsesPerUser: value.maxUsesPerUser ?? null,
+      isActive: value.isActive !== false,
+      usedCount: 0,
+      createdBy: req.user.uid,
+      createdAt: new Date()
+    };
+    let result;
+    try {
+      result = await db.collection('promoCodes').insertOne(doc);
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: `Promo code ${doc.code} already exists` });
+      throw err;
+    }
+    await writeAuditLog(req, { action: 'promoCode.create', targetType: 'promoCode', targetId: result.insertedId, after: doc });
+    res.status(201).json({ ...doc, _id: result.insertedId });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to create promo code', detail: e?.message || String(e) });
+  }
+});
+
+// Preview a promo code against the current cart so checkout can show the discount.
+// Runs the same checks as POST /api/orders but claims nothing.
+app.post('/api/promo-codes/preview', verifyFirebaseToken, loadUserProfile, authorize('order.create', targetFromBody), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { campusId, cartItems, persons, promoCode } = req.body || {};
+    if (!campusId) return sendBadRequest(res, { campusId: 'campusId is required' });
+    const pricing = await priceCart(db, { campusId, cartItems, persons });
+    if (pricing.errors) return sendPricingError(res, pricing);
+    const applied = await applyPromoCode(db, { code: promoCode, campusId, userId: req.user.uid, pricing });
+    if (applied.error) return sendBadRequest(res, { promoCode: applied.error });
+    const { pricing: discounted } = applied;
+    res.json({
+      promo: { ...discounted.promo, description: applied.promo.description || null },
+      persons: discounted.persons,
+      itemTotal: discounted.itemTotal,
+      deliveryCharge: discounted.deliveryCharge,
+      deliveryBreakdown: discounted.deliveryBreakdown,
+      discount: discounted.discount,
+      grandTotal: discounted.grandTotal,
+      cartItems: discounted.lines
+    });
+  } catch (e) {
+    console.error('Promo preview failed:', e);
+    res.status(500).json({ error: 'Failed to preview promo code' });
+  }
+});
+
+// Code, campus and restaurant are fixed at creation (orders keep a snapshot of the code)
+app.patch('/api/promo-codes/:id', verifyFirebaseToken, loadUserProfile, authorize('promoCode.manage', promoCodeTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const existing = await db.collection('promoCodes').findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    const deletedDenial = await deletedEditDenial(db, 'Promo code', existing);
+    if (deletedDenial) return res.status(409).json({ error: deletedDenial });
+    const { value, errors } = validateInput('promoCodes', req.body, { partial: true });
+    if (errors) return sendBadRequest(res, errors);
+    const update = {};
+    ['description', 'discountType', 'value', 'maxDiscount', 'minOrderValue', 'startsAt', 'endsAt', 'maxUses', 'maxUsesPerUser', 'isActive']
+      .forEach(k => { if (k in value) update[k] = value[k]; });
+    const merged = { ...existing, ...update };
+    const ruleErrors = promoRuleErrors(merged);
+    if (Object.keys(ruleErrors).length) return sendBadRequest(res, ruleErrors);
+    if (merged.discountType === 'freeDelivery') update.value = null;
+    update.updatedAt = new Date();
+    const result = await db.collection('promoCodes').findOneAndUpdate({ _id: existing._id }, { $set: update }, { returnDocument: 'after', includeResultMetadata: true });
+    await writeAuditLog(req, { action: 'promoCode.update', targetType: 'promoCode', targetId: existing._id, before: existing, after: result.value });
+    res.json(result.value);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+app.delete('/api/promo-codes/:id', verifyFirebaseToken, loadUserProfile, authorize('promoCode.manage', promoCodeTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const existing = await db.collection('promoCodes').findOne({ _id: { $in: idCandidates(req.params.id) } });
+    if (!existing) return res.status(404).json({ error: 'Not found' });
+    await db.collection('promoCodes').deleteOne({ _id: existing._id });
+    await writeAuditLog(req, { action: 'promoCode.delete', targetType: 'promoCode', targetId: existing._id, before: existing });
+    res.status(204).end();
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to delete promo code' });
+  }
+});
+
 // =========================
 // Campus Settings API
 // =========================
@@ -1243,22 +4691,14 @@ app.delete('/api/mart-items/:id', verifyFirebaseToken, loadUserProfile, async (r
 // Get campus settings (by campusId)
 // Public: Get campus settings (by campusId) - no auth required so checkout can
 // fetch current settings even for unauthenticated users (guest checkout).
-app.get('/api/campus-settings/:campusId', async (req, res) => {
+app.get('/api/campus-settings/:campusId', catalogRateLimit, async (req, res) => {
   try {
     const db = await getDb();
     const { campusId } = req.params;
-    const settings = await db.collection('campusSettings').findOne({ campusId });
-
-    if (!settings) {
-      // Return default settings if none exist
-      return res.json({
-        campusId,
-        deliveryChargePerPerson: 150,
-        accountTitle: "Maratib Ali",
-        bankName: "Habib bank limited",
-        accountNumber: "54427000095103"
-      });
-    }
+    const settings = await db.collection('campusSettings').findOne({ campusId, deletedAt: null });
+
+    // No fallback: checkout must not show made-up fees or payment details
+    if (!settings) return res.status(404).json({ error: 'Campus settings are not configured for this campus' });
 
     res.json(settings);
   } catch (e) {
@@ -1266,13 +4706,118 @@ app.get('/api/campus-settings/:campusId', async (req, res) => {
   }
 });
 
+// Public: delivery fee quote for a cart ({ cartItems, persons }) under the campus's fee rules,
+// so the cart page can show the fee before checkout
+app.post('/api/campus-settings/:campusId/quote', catalogRateLimit, async (req, res) => {
+  try {
+    const db = await getDb();
+    const { campusId } = req.params;
+    const { cartItems, persons } = req.body || {};
+    const pricing = await priceCart(db, { campusId, cartItems, persons });
+    if (pricing.errors) return sendPricingError(res, pricing);
+    res.json({
+      campusId,
+      persons: pricing.persons,
+      itemTotal: pricing.itemTotal,
+      deliveryCharge: pricing.deliveryCharge,
+      deliveryBreakdown: pricing.deliveryBreakdown,
+      grandTotal: pricing.grandTotal,
+      cartItems: pricing.lines
+    });
+  } catch (e) {
+    console.error('Delivery quote failed:', e);
+    res.status(500).json({ error: 'Failed to quote delivery fee' });
+  }
+});
+
+// Public: delivery slots for a date (?date=YYYY-MM-DD, default campus today) with remaining capacity
+app.get('/api/campus-settings/:campusId/slots', catalogRateLimit, async (req, res) => {
+  try {
+    const db = await getDb();
+    const settings = await db.collection('campusSettings').findOne({ campusId: req.params.campusId, deletedAt: null });
+    if (!settings) return res.status(404).json({ error: 'Campus settings are not configured for this campus' });
+    const date = req.query.date ? String(req.query.date) : campusToday(settings);
+    if (!SLOT_DATE_PATTERN.test(date)) return sendBadRequest(res, { date: 'date must be in YYYY-MM-DD format' });
+    res.json({ campusId: settings.campusId, date, slots: await slotAvailability(db, settings, date) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch delivery slots' });
+  }
+});
+
+// Replace a campus's delivery slots (super admin, or campus admin of that campus).
+// Orders already booked keep their slot snapshot.
+app.put('/api/campus-settings/:campusId/slots', verifyFirebaseToken, loadUserProfile, authorize('deliverySlot.manage', campusParamTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { campusId } = req.params;
+    const before = await db.collection('campusSettings').findOne({ campusId, deletedAt: null });
+    if (!before) return res.status(404).json({ error: 'Campus settings are not configured for this campus' });
+    const { value, errors } = normalizeDeliverySlots(req.body?.deliverySlots);
+    if (errors) return sendBadRequest(res, errors);
+
+    const result = await db.collection('campusSettings').findOneAndUpdate(
+      { _id: before._id },
+      { $set: { deliverySlots: value, updatedAt: new Date(), updatedBy: req.userProfile.email || req.user.email } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    await writeAuditLog(req, {
+      action: 'campusSettings.slots',
+      targetType: 'campusSettings',
+      targetId: campusId,
+      before: { deliverySlots: before.deliverySlots || [] },
+      after: { deliverySlots: value },
+      campusId
+    });
+    res.json(result.value);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save delivery slots' });
+  }
+});
+
+// Admin slot view: the date's slots with their capacity and the orders booked into each
+app.get('/api/campus-settings/:campusId/slots/orders', verifyFirebaseToken, loadUserProfile, authorize('deliverySlot.manage', campusParamTarget), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { campusId } = req.params;
+    const settings = await db.collection('campusSettings').findOne({ campusId, deletedAt: null });
+    if (!settings) return res.status(404).json({ error: 'Campus settings are not configured for this campus' });
+    const date = req.query.date ? String(req.query.date) : campusToday(settings);
+    if (!SLOT_DATE_PATTERN.test(date)) return sendBadRequest(res, { date: 'date must be in YYYY-MM-DD format' });
+
+    const filter = { campusId, 'deliverySlot.date': date };
+    if (req.query.includeCancelled !== 'true') filter.status = { $ne: 'cancelled' };
+    const orders = await db.collection('orders')
+      .find(filter, {
+        projection: {
+          firstName: 1, lastName: 1, room: 1, phone: 1, persons: 1, grandTotal: 1,
+          status: 1, paymentStatus: 1, restaurantNames: 1, deliverySlot: 1, createdAt: 1
+        }
+      })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const bySlot = new Map();
+    orders.forEach(o => {
+      const key = o.deliverySlot.id;
+      if (!bySlot.has(key)) bySlot.set(key, []);
+      bySlot.get(key).push({ ...o, id: String(o._id) });
+    });
+    const slots = (await slotAvailability(db, settings, date)).map(slot => ({ ...slot, orders: bySlot.get(slot.id) || [] }));
+    // Orders in slots that were since removed or disabled are still listed
+    const listed = new Set(slots.map(x => x.id));
+    bySlot.forEach((slotOrders, id) => {
+      if (!listed.has(id)) slots.push({ id, label: slotOrders[0].deliverySlot.label, date, retired: true, orders: slotOrders });
+    });
+    res.json({ campusId, date, slots });
+  } catch (e) {
+    console.error('Slot view failed:', e);
+    res.status(500).json({ error: 'Failed to fetch slot orders' });
+  }
+});
+
 // Get all campus settings (super admin only)
-app.get('/api/campus-settings', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.get('/api/campus-settings', verifyFirebaseToken, loadUserProfile, authorize('campusSettings.manage'), async (req, res) => {
   try {
-    if (!isSuperAdmin(req.userProfile)) {
-      return res.status(403).json({ error: 'Only super admin can view all campus settings' });
-    }
-    
     const db = await getDb();
     const settings = await db.collection('campusSettings').find({}).toArray();
     res.json(settings);
@@ -1282,40 +4827,62 @@ app.get('/api/campus-settings', verifyFirebaseToken, loadUserProfile, async (req
 });
 
 // Create or update campus settings (super admin only)
-app.post('/api/campus-settings', verifyFirebaseToken, loadUserProfile, async (req, res) => {
+app.post('/api/campus-settings', verifyFirebaseToken, loadUserProfile, authorize('campusSettings.manage'), async (req, res) => {
   try {
-    if (!isSuperAdmin(req.userProfile)) {
-      return res.status(403).json({ error: 'Only super admin can manage campus settings' });
-    }
-
     const db = await getDb();
-    const { campusId, deliveryChargePerPerson, accountTitle, bankName, accountNumber } = req.body || {};
-    
-    // Validate required fields
-    if (!campusId) return res.status(400).json({ error: 'campusId is required' });
-    if (!deliveryChargePerPerson || deliveryChargePerPerson <= 0) {
-      return res.status(400).json({ error: 'deliveryChargePerPerson must be greater than 0' });
+    const { value, errors } = validateInput('campusSettings', req.body);
+    const fieldErrors = { ...errors };
+    if (value.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value.timezone });
+      } catch (_) {
+        fieldErrors.timezone = 'timezone must be an IANA zone like Asia/Karachi';
+      }
     }
-    if (!accountTitle || !bankName || !accountNumber) {
-      return res.status(400).json({ error: 'All payment details are required' });
+    if (Object.keys(fieldErrors).length) return sendBadRequest(res, fieldErrors);
+    const { campusId, accountTitle, bankName, accountNumber, timezone, requireRecaptcha } = value;
+
+    // Settings of a soft-deleted campus come back only through restoring the campus (deletedWith marker)
+    const campus = await db.collection('campuses').findOne({ _id: { $in: idCandidates(campusId) } });
+    if (!campus) return sendBadRequest(res, { campusId: 'Campus not found' });
+    const before = await db.collection('campusSettings').findOne({ campusId });
+    if (campus.deletedAt || before?.deletedAt) {
+      return res.status(409).json({ error: 'This campus is deleted. Restore the campus before changing its settings.' });
     }
 
+    // Fee rules omitted from the payload keep their stored values
+    const rules = normalizeDeliveryRules({ ...before, ...value });
+    if (rules.errors) return sendBadRequest(res, rules.errors);
+
     const settingsDoc = {
       campusId,
-      deliveryChargePerPerson: parseInt(deliveryChargePerPerson),
-      accountTitle: accountTitle.trim(),
-      bankName: bankName.trim(),
-      accountNumber: accountNumber.trim(),
+      accountTitle,
+      bankName,
+      accountNumber,
+      ...(timezone !== undefined ? { timezone } : {}),
+      ...(requireRecaptcha !== undefined ? { requireRecaptcha: requireRecaptcha === true } : {}),
       updatedAt: new Date(),
       updatedBy: req.userProfile.email || req.user.email
     };
+    ['deliveryFeeMode', 'deliveryChargePerPerson', 'deliveryChargePerOrder', 'deliveryFeeTierBasis', 'freeDeliveryAbove', 'minimumOrderAmount']
+      .forEach(k => { if (k in value) settingsDoc[k] = value[k]; });
+    if ('deliveryFeeTiers' in value) settingsDoc.deliveryFeeTiers = rules.value.deliveryFeeTiers ?? null;
+    if ('lateNightSurcharge' in value) settingsDoc.lateNightSurcharge = rules.value.lateNightSurcharge ?? null;
 
     // Upsert (update if exists, insert if not)
     const result = await db.collection('campusSettings').findOneAndUpdate(
-      { campusId },
+      { campusId, deletedAt: null },
       { $set: settingsDoc },
-      { upsert: true, returnDocument: 'after' }
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
     );
+    await writeAuditLog(req, {
+      action: before ? 'campusSettings.update' : 'campusSettings.create',
+      targetType: 'campusSettings',
+      targetId: campusId,
+      before,
+      after: result.value || settingsDoc,
+      campusId
+    });
 
     res.json(result.value || settingsDoc);
   } catch (e) {
@@ -1323,8 +4890,320 @@ app.post('/api/campus-settings', verifyFirebaseToken, loadUserProfile, async (re
   }
 });
 
-// ✅ Start server
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server listening on port ${PORT}`);
+// =========================
+// Reporting API (aggregations over orders)
+// Scope: superAdmin everything (optional ?campusId), campusAdmin their campus,
+// restaurantManager only their restaurant's lines in cartItemsArray
+// =========================
+
+// Legacy orders may hold totals as strings; treat anything unparseable as 0
+function numericField(path) {
+  return { $convert: { input: path, to: 'double', onError: 0, onNull: 0 } };
+}
+
+// Lines priced before lineTotal existed fall back to price x quantity
+const LINE_TOTAL = numericField({
+  $ifNull: [
+    '$cartItemsArray.lineTotal',
+    { $multiply: [numericField('$cartItemsArray.price'), numericField('$cartItemsArray.quantity')] }
+  ]
+});
+const NOT_CANCELLED = { $ne: ['$status', 'cancelled'] };
+
+// Base $match plus the restaurant the caller is limited to (if any), or { error } (403) / { fields } (400)
+function reportScope(req) {
+  const profile = req.userProfile;
+  const match = {};
+  let restaurantId = null;
+  if (isSuperAdmin(profile)) {
+    if (req.query.campusId) match.campusId = String(req.query.campusId);
+  } else if (isCampusAdmin(profile)) {
+    match.campusId = profile.campusId;
+  } else if (isRestaurantManager(profile)) {
+    if (!profile.restaurantId) return { error: 'No restaurant assigned to user profile' };
+    restaurantId = profile.restaurantId;
+    match['cartItemsArray.restaurantId'] = restaurantId;
+  } else {
+    return { error: 'Reports are only available to admins and restaurant managers' };
+  }
+
+  const { from, to } = req.query;
+  if (from || to) {
+    match.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (Number.isNaN(fromDate.getTime())) return { fields: { from: 'from must be a valid date' } };
+      match.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (Number.isNaN(toDate.getTime())) return { fields: { to: 'to must be a valid date' } };
+      match.createdAt.$lte = toDate;
+    }
+  }
+  return { match, restaurantId };
+}
+
+// Stages producing one document per cart line, restricted to the manager's restaurant when scoped
+function lineStages(restaurantId) {
+  return [
+    { $unwind: '$cartItemsArray' },
+    ...(restaurantId ? [{ $match: { 'cartItemsArray.restaurantId': restaurantId } }] : [])
+  ];
+}
+
+function reportLimit(query, fallback = 10) {
+  return Math.min(Math.max(parseInt(query.limit, 10) || fallback, 1), 100);
+}
+
+// Wraps a report handler with scope resolution and error handling
+function reportRoute(name, build) {
+  return async (req, res) => {
+    try {
+      const scope = reportScope(req);
+      if (scope.fields) return sendBadRequest(res, scope.fields);
+      if (scope.error) return sendForbidden(req, res, 'report.read', scope.error);
+      const db = await getDb();
+      const result = await build(db, scope, req);
+      if (result && result.fields) return sendBadRequest(res, result.fields);
+      res.json(result);
+    } catch (err) {
+      console.error(`Report ${name} failed:`, err);
+      res.status(500).json({ error: `Failed to build ${name} report` });
+    }
+  };
+}
+
+// Order counts, revenue, average order value, delivery charges and cancellation rate
+app.get('/api/reports/summary', verifyFirebaseToken, loadUserProfile, authorize('report.read'), reportRoute('summary', async (db, { match, restaurantId }) => {
+  const perOrder = restaurantId
+    ? [
+        { $match: match },
+        ...lineStages(restaurantId),
+        { $group: { _id: '$_id', status: { $first: '$status' }, revenue: { $sum: LINE_TOTAL }, deliveryCharge: { $first: 0 } } }
+      ]
+    : [
+        { $match: match },
+        { $project: { status: 1, revenue: numericField('$grandTotal'), deliveryCharge: numericField('$deliveryCharge') } }
+      ];
+
+  const [totals] = await db.collection('orders').aggregate([
+    ...perOrder,
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        revenue: { $sum: { $cond: [NOT_CANCELLED, '$revenue', 0] } },
+        deliveryCharges: { $sum: { $cond: [NOT_CANCELLED, '$deliveryCharge', 0] } }
+      }
+    }
+  ]).toArray();
+
+  const t = totals || { orders: 0, cancelled: 0, delivered: 0, revenue: 0, deliveryCharges: 0 };
+  const completed = t.orders - t.cancelled;
+  return {
+    orders: t.orders,
+    cancelled: t.cancelled,
+    delivered: t.delivered,
+    revenue: roundMoney(t.revenue),
+    deliveryCharges: restaurantId ? null : roundMoney(t.deliveryCharges),
+    averageOrderValue: completed > 0 ? roundMoney(t.revenue / completed) : 0,
+    cancellationRate: t.orders > 0 ? Math.round((t.cancelled / t.orders) * 10000) / 10000 : 0
+  };
+}));
+
+// Revenue and order counts per day or week (?interval=day|week), split by campus
+app.get('/api/reports/revenue', verifyFirebaseToken, loadUserProfile, authorize('report.read'), reportRoute('revenue', async (db, { match, restaurantId }, req) => {
+  const interval = req.query.interval || 'day';
+  if (!['day', 'week'].includes(interval)) return { fields: { interval: 'interval must be day or week' } };
+  const timeZone = req.query.timezone || DEFAULT_CAMPUS_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (_) {
+    return { fields: { timezone: 'timezone must be an IANA zone like Asia/Karachi' } };
+  }
+  const period = { $dateTrunc: { date: '$createdAt', unit: interval, timezone: timeZone, startOfWeek: 'monday' } };
+
+  const pipeline = restaurantId
+    ? [
+        { $match: { ...match, status: { $ne: 'cancelled' } } },
+        ...lineStages(restaurantId),
+        { $group: { _id: { period, campusId: '$campusId', order: '$_id' }, revenue: { $sum: LINE_TOTAL } } },
+        { $group: { _id: { period: '$_id.period', campusId: '$_id.campusId' }, orders: { $sum: 1 }, revenue: { $sum: '$revenue' }, deliveryCharges: { $sum: 0 } } }
+      ]
+    : [
+        { $match: { ...match, status: { $ne: 'cancelled' } } },
+        {
+          $group: {
+            _id: { period, campusId: '$campusId' },
+            orders: { $sum: 1 },
+            revenue: { $sum: numericField('$grandTotal') },
+            deliveryCharges: { $sum: numericField('$deliveryCharge') }
+          }
+        }
+      ];
+
+  const rows = await db.collection('orders').aggregate([...pipeline, { $sort: { '_id.period': 1, '_id.campusId': 1 } }]).toArray();
+  return {
+    interval,
+    timezone: timeZone,
+    rows: rows.map(r => ({
+      period: r._id.period,
+      campusId: r._id.campusId || null,
+      orders: r.orders,
+      revenue: roundMoney(r.revenue),
+      deliveryCharges: restaurantId ? null : roundMoney(r.deliveryCharges),
+      averageOrderValue: r.orders > 0 ? roundMoney(r.revenue / r.orders) : 0
+    }))
+  };
+}));
+
+// Best-selling items by quantity (?limit, default 10)
+app.get('/api/reports/top-items', verifyFirebaseToken, loadUserProfile, authorize('report.read'), reportRoute('top items', async (db, { match, restaurantId }, req) => {
+  const rows = await db.collection('orders').aggregate([
+    { $match: { ...match, status: { $ne: 'cancelled' } } },
+    ...lineStages(restaurantId),
+    {
+      $group: {
+        _id: { id: '$cartItemsArray.id', name: '$cartItemsArray.name' },
+        restaurantId: { $first: '$cartItemsArray.restaurantId' },
+        restaurantName: { $first: '$cartItemsArray.restaurantName' },
+        type: { $first: '$cartItemsArray.type' },
+        quantity: { $sum: numericField('$cartItemsArray.quantity') },
+        revenue: { $sum: LINE_TOTAL },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    { $project: { restaurantId: 1, restaurantName: 1, type: 1, quantity: 1, revenue: 1, orders: { $size: '$orders' } } },
+    { $sort: { quantity: -1, revenue: -1 } },
+    { $limit: reportLimit(req.query) }
+  ]).toArray();
+
+  return rows.map(r => ({
+    id: r._id.id || null,
+    name: r._id.name || null,
+    type: r.type || null,
+    restaurantId: r.restaurantId || null,
+    restaurantName: r.restaurantName || null,
+    quantity: r.quantity,
+    orders: r.orders,
+    revenue: roundMoney(r.revenue)
+  }));
+}));
+
+// Restaurants ranked by revenue from their lines (?limit, default 10)
+app.get('/api/reports/top-restaurants', verifyFirebaseToken, loadUserProfile, authorize('report.read'), reportRoute('top restaurants', async (db, { match, restaurantId }, req) => {
+  const rows = await db.collection('orders').aggregate([
+    { $match: { ...match, status: { $ne: 'cancelled' } } },
+    ...lineStages(restaurantId),
+    { $match: { 'cartItemsArray.restaurantId': { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: '$cartItemsArray.restaurantId',
+        restaurantName: { $first: '$cartItemsArray.restaurantName' },
+        itemsSold: { $sum: numericField('$cartItemsArray.quantity') },
+        revenue: { $sum: LINE_TOTAL },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    { $project: { restaurantName: 1, itemsSold: 1, revenue: 1, orders: { $size: '$orders' } } },
+    { $sort: { revenue: -1 } },
+    { $limit: reportLimit(req.query) }
+  ]).toArray();
+
+  return rows.map(r => ({
+    restaurantId: r._id,
+    restaurantName: r.restaurantName || null,
+    orders: r.orders,
+    itemsSold: r.itemsSold,
+    revenue: roundMoney(r.revenue),
+    averageOrderValue: r.orders > 0 ? roundMoney(r.revenue / r.orders) : 0
+  }));
+}));
+
+// =========================
+// Audit Log API
+// =========================
+
+// List audit log entries (super admin only)
+// Query: action, performedBy, targetType, targetId, campusId, from, to (ISO dates), page, limit
+app.get('/api/logs', verifyFirebaseToken, loadUserProfile, authorize('log.read'), async (req, res) => {
+  try {
+    const db = await getDb();
+    const { action, performedBy, targetType, targetId, campusId, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (performedBy) filter.performedBy = performedBy;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (campusId) filter.campusId = campusId;
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (Number.isNaN(fromDate.getTime())) return sendBadRequest(res, { from: 'from must be a valid date' });
+        filter.timestamp.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (Number.isNaN(toDate.getTime())) return sendBadRequest(res, { to: 'to must be a valid date' });
+        filter.timestamp.$lte = toDate;
+      }
+    }
+
+    const [items, total] = await Promise.all([
+      db.collection('logs')
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      db.collection('logs').countDocuments(filter)
+    ]);
+
+    res.json({ items, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (e) {
+    console.error('Fetch audit logs failed:', e);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
 });
+
+// ✅ Start server (only when run directly, so tests can require the app)
+if (require.main === module) {
+  const PORT = process.env.PORT || 4000;
+  app.listen(PORT, () => {
+    console.log(`🚀 Server listening on port ${PORT}`);
+    startNotificationWorker();
+  });
+}
+
+module.exports = {
+  app,
+  PERMISSIONS,
+  USER_ROLES,
+  permissionDenial,
+  profileDenial,
+  authorize,
+  deletedEditDenial,
+  listOrdersPage,
+  priceCart,
+  findTotalMismatches,
+  describeCartLines,
+  ORDER_STATUSES,
+  checkStatusTransition,
+  changeOrderStatus,
+  idempotencyMiddleware,
+  parseTimeOfDay,
+  restaurantOpenState,
+  validateOpeningHours,
+  reserveMartStock,
+  releaseMartStock,
+  restoreOrderStock,
+  computeDeliveryFee,
+  normalizeDeliveryRules
+};
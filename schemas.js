@@ -0,0 +1,394 @@
+/*
+ Entity schemas shared by the API (request validation) and scripts/initMongo.js
+ (the provisioned $jsonSchema validators), so both describe the same documents.
+
+ Field options:
+   type       'string' | 'number' | 'integer' | 'boolean' | 'date' | 'object' | 'array' | 'any'
+   required   must be present (and non-blank) on create; also required in the validator
+   nullable   null is accepted (and blank strings become null)
+   input      false for server-managed fields: ignored in request bodies, still provisioned
+   enum, min, exclusiveMin, max, maxLength, pattern (+ patternMessage)
+   bsonType   override the validator's bsonType (e.g. money stored as BSON Double)
+   items      validator-only $jsonSchema for array elements
+*/
+
+const MONEY_BSON = ['double', 'int', 'long', 'decimal'];
+const EMAIL_PATTERN = '^.+@.+\\..+$';
+
+const optionalString = { type: 'string', nullable: true };
+const serverDate = { type: 'date', nullable: true, input: false };
+
+// Written by softDeleteEntity/restoreEntity in index.js
+const softDeleteFields = {
+  deletedAt: serverDate,
+  deletedBy: { ...optionalString, input: false },
+  deletedWith: { ...optionalString, input: false }
+};
+
+const timestampFields = {
+  createdAt: serverDate,
+  updatedAt: serverDate
+};
+
+const schemas = {
+  users: {
+    additionalProperties: true,
+    fields: {
+      _id: { type: 'string', required: true, input: false },
+      email: { type: 'string', required: true, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' },
+      firstName: optionalString,
+      lastName: optionalString,
+      phone: optionalString,
+      role: { type: 'string', required: true, enum: ['user', 'campusAdmin', 'superAdmin', 'restaurantManager', 'rider'] },
+      uid: { ...optionalString, input: false },
+      universityId: optionalString,
+      campusId: optionalString,
+      universityName: optionalString,
+      campusName: optionalString,
+      restaurantId: optionalString,
+      restaurantName: optionalString,
+      photoURL: optionalString,
+      isActive: { type: 'boolean', input: false },
+      createdAt: { type: 'date', required: true, input: false },
+      updatedAt: serverDate,
+      lastLogin: serverDate
+    }
+  },
+
+  universities: {
+    fields: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      ...timestampFields,
+      ...softDeleteFields
+    }
+  },
+
+  campuses: {
+    fields: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      universityId: { type: 'string', required: true },
+      ...timestampFields,
+      ...softDeleteFields
+    }
+  },
+
+  restaurants: {
+    fields: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      campusId: { type: 'string', required: true },
+      universityId: { type: 'string', required: true },
+      location: optionalString,
+      cuisine: optionalString,
+      openTime: optionalString,
+      closeTime: optionalString,
+      is24x7: { type: 'boolean', nullable: true },
+      schedule: { type: 'object', nullable: true },
+      holidays: {
+        type: 'array',
+        nullable: true,
+        items: {
+          bsonType: 'object',
+          required: ['date'],
+          properties: {
+            date: { bsonType: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+            reason: { bsonType: ['string', 'null'] }
+          }
+        }
+      },
+      photoURL: optionalString,
+      imageUrl: { ...optionalString, input: false }, // Legacy alias of photoURL
+      ...timestampFields,
+      ...softDeleteFields
+    }
+  },
+
+  menuItems: {
+    fields: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      price: { type: 'number', required: true, exclusiveMin: 0, bsonType: MONEY_BSON },
+      restaurantId: { type: 'string', required: true },
+      campusId: { type: 'string', required: true },
+      universityId: { ...optionalString, input: false },
+      photoURL: optionalString,
+      description: optionalString,
+      isAvailable: { type: 'boolean', nullable: true },
+      createdAt: { type: 'date', required: true, input: false },
+      updatedAt: serverDate,
+      ...softDeleteFields
+    }
+  },
+
+  martItems: {
+    fields: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      price: { type: 'number', required: true, exclusiveMin: 0, bsonType: MONEY_BSON },
+      campusId: { type: 'string', required: true },
+      photoURL: optionalString,
+      description: optionalString,
+      category: optionalString,
+      stock: { type: 'integer', nullable: true, min: 0 },
+      createdAt: { type: 'date', required: true, input: false },
+      updatedAt: serverDate,
+      ...softDeleteFields
+    }
+  },
+
+  campusSettings: {
+    fields: {
+      campusId: { type: 'string', required: true },
+      // Delivery fee rules, see computeDeliveryFee in index.js
+      deliveryFeeMode: { type: 'string', nullable: true, enum: ['perPerson', 'perOrder'] },
+      deliveryChargePerPerson: { type: 'number', nullable: true, min: 0, bsonType: MONEY_BSON },
+      deliveryChargePerOrder: { type: 'number', nullable: true, min: 0, bsonType: MONEY_BSON },
+      deliveryFeeTierBasis: { type: 'string', nullable: true, enum: ['persons', 'itemTotal'] },
+      deliveryFeeTiers: {
+        type: 'array',
+        nullable: true,
+        items: {
+          bsonType: 'object',
+          required: ['from', 'charge'],
+          properties: { from: { bsonType: MONEY_BSON }, charge: { bsonType: MONEY_BSON } }
+        }
+      },
+      freeDeliveryAbove: { type: 'number', nullable: true, min: 0, bsonType: MONEY_BSON },
+      minimumOrderAmount: { type: 'number', nullable: true, min: 0, bsonType: MONEY_BSON },
+      lateNightSurcharge: { type: 'object', nullable: true }, // { start, end, amount, perPerson }
+      // Managed through PUT /api/campus-settings/:campusId/slots
+      deliverySlots: {
+        type: 'array',
+        nullable: true,
+        input: false,
+        items: {
+          bsonType: 'object',
+          required: ['id', 'deliverAt', 'cutoff'],
+          properties: {
+            id: { bsonType: 'string' },
+            label: { bsonType: 'string' },
+            deliverAt: { bsonType: 'string' },
+            cutoff: { bsonType: 'string' },
+            days: { bsonType: ['array', 'null'] },
+            maxOrders: { bsonType: ['int', 'long', 'null'] },
+            maxPersons: { bsonType: ['int', 'long', 'null'] },
+            isActive: { bsonType: 'bool' }
+          }
+        }
+      },
+      accountTitle: { type: 'string', required: true },
+      bankName: { type: 'string', required: true },
+      accountNumber: { type: 'string', required: true },
+      timezone: optionalString,
+      requireRecaptcha: { type: 'boolean', nullable: true }, // Orders on this campus must pass reCAPTCHA
+      updatedAt: serverDate,
+      updatedBy: { ...optionalString, input: false },
+      ...softDeleteFields
+    }
+  },
+
+  promoCodes: {
+    fields: {
+      code: { type: 'string', required: true, maxLength: 40, pattern: '^[A-Z0-9_-]+$', patternMessage: 'may only contain letters, digits, - and _' },
+      description: { ...optionalString, maxLength: 200 },
+      campusId: { type: 'string', required: true },
+      restaurantId: optionalString, // Restaurant-scoped codes only discount that restaurant's lines
+      discountType: { type: 'string', required: true, enum: ['percent', 'flat', 'freeDelivery'] },
+      value: { type: 'number', nullable: true, min: 0, bsonType: MONEY_BSON }, // Percent or flat amount; unused for freeDelivery
+      maxDiscount: { type: 'number', nullable: true, exclusiveMin: 0, bsonType: MONEY_BSON },
+      minOrderValue: { type: 'number', nullable: true, min: 0, bsonType: MONEY_BSON },
+      startsAt: { type: 'date', nullable: true },
+      endsAt: { type: 'date', nullable: true },
+      maxUses: { type: 'integer', nullable: true, min: 1 },
+      maxUsesPerUser: { type: 'integer', nullable: true, min: 1 },
+      isActive: { type: 'boolean', nullable: true },
+      usedCount: { type: 'integer', min: 0, input: false },
+      createdBy: { ...optionalString, input: false },
+      ...timestampFields
+    }
+  },
+
+  orders: {
+    additionalProperties: true,
+    fields: {
+      universityName: { type: 'string', required: true },
+      campusName: { type: 'string', required: true },
+      firstName: { type: 'string', required: true, maxLength: 100 },
+      lastName: optionalString,
+      room: optionalString,
+      phone: { type: 'string', required: true, maxLength: 30 },
+      email: { ...optionalString, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' },
+      gender: { type: 'string', required: true, enum: ['male', 'female'] },
+      persons: { type: 'integer', min: 1, input: false },
+      deliveryCharge: { type: 'number', bsonType: MONEY_BSON, input: false },
+      deliveryBreakdown: { type: 'object', nullable: true, input: false },
+      itemTotal: { type: 'number', bsonType: MONEY_BSON, input: false },
+      grandTotal: { type: 'number', required: true, bsonType: MONEY_BSON, input: false },
+      discount: { type: 'number', nullable: true, bsonType: MONEY_BSON, input: false },
+      promo: { type: 'object', nullable: true, input: false },
+      cartItems: { ...optionalString, input: false },
+      cartItemsArray: { type: 'array', nullable: true, input: false },
+      restaurantNames: { type: 'array', nullable: true, input: false },
+      timestamp: { ...optionalString, input: false },
+      accountTitle: optionalString,
+      bankName: optionalString,
+      screenshotURL: optionalString,
+      specialInstruction: { ...optionalString, maxLength: 500 },
+      deliverySlot: { type: 'object', nullable: true, input: false },
+      rider: { type: 'object', nullable: true, input: false }, // { uid, name, phone, assignedAt, pickedUpAt, deliveredAt, proofNote }
+      createdAt: { type: 'date', required: true, input: false },
+      universityId: optionalString,
+      campusId: { type: 'string', nullable: true, input: false },
+      userId: { ...optionalString, input: false },
+      stockReservations: { type: 'array', nullable: true, input: false },
+      stockReleasedAt: serverDate,
+      paymentStatus: { type: 'string', nullable: true, enum: ['unverified', 'verified', 'rejected'], input: false },
+      paymentReviewedBy: { type: 'object', nullable: true, input: false },
+      paymentReviewedAt: serverDate,
+      paymentRejectionReason: { ...optionalString, input: false },
+      status: {
+        type: 'string',
+        nullable: true,
+        enum: ['pending', 'accepted', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled'],
+        input: false
+      },
+      statusHistory: {
+        type: 'array',
+        input: false,
+        items: {
+          bsonType: 'object',
+          required: ['to', 'changedAt'],
+          properties: {
+            from: { bsonType: ['string', 'null'] },
+            to: { bsonType: 'string' },
+            changedBy: { bsonType: ['object', 'null'] },
+            changedAt: { bsonType: 'date' },
+            note: { bsonType: ['string', 'null'] }
+          }
+        }
+      },
+      updatedAt: serverDate
+    }
+  }
+};
+
+const BSON_TYPES = {
+  string: 'string',
+  number: ['double', 'int', 'long', 'decimal'],
+  integer: ['int', 'long'],
+  boolean: 'bool',
+  date: 'date',
+  object: 'object',
+  array: 'array'
+};
+
+function fieldJsonSchema(field) {
+  const out = {};
+  if (field.type !== 'any') {
+    const base = [].concat(field.bsonType || BSON_TYPES[field.type]);
+    if (field.nullable) base.push('null');
+    out.bsonType = base.length === 1 ? base[0] : base;
+  }
+  if (field.enum) {
+    out.enum = field.nullable ? [...field.enum, null] : field.enum;
+    delete out.bsonType;
+  }
+  if (field.pattern) out.pattern = field.pattern; // Ignored by Mongo for null values
+  if (field.items) out.items = field.items;
+  return out;
+}
+
+// $jsonSchema validator for a collection. Strict collections list _id explicitly so
+// additionalProperties: false does not reject every document.
+function toJsonSchema(name) {
+  const schema = schemas[name];
+  const properties = {};
+  const required = [];
+  if (schema.additionalProperties === false || schema.additionalProperties === undefined) properties._id = {};
+  Object.entries(schema.fields).forEach(([key, field]) => {
+    properties[key] = fieldJsonSchema(field);
+    if (field.required) required.push(key);
+  });
+  const jsonSchema = { bsonType: 'object', required, properties };
+  if (schema.additionalProperties !== true) jsonSchema.additionalProperties = false;
+  return { $jsonSchema: jsonSchema };
+}
+
+// true/false for the accepted spellings (true/false, yes/no, y/n, 1/0), otherwise undefined
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const v = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(v)) return true;
+  if (['false', 'no', 'n', '0'].includes(v)) return false;
+  return undefined;
+}
+
+// Returns [value] or [undefined, message]; numbers/booleans accept their string forms (forms, CSV)
+function coerceField(key, field, raw) {
+  switch (field.type) {
+    case 'string': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return [undefined, `${key} must be a string`];
+      const value = String(raw).trim();
+      if (field.maxLength && value.length > field.maxLength) return [undefined, `${key} must be at most ${field.maxLength} characters`];
+      if (field.pattern && !new RegExp(field.pattern).test(value)) return [undefined, `${key} ${field.patternMessage || 'has an invalid format'}`];
+      return [value];
+    }
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+      if (!Number.isFinite(value)) return [undefined, `${key} must be a number`];
+      if (field.type === 'integer' && !Number.isInteger(value)) return [undefined, `${key} must be a whole number`];
+      if (field.exclusiveMin !== undefined && value <= field.exclusiveMin) return [undefined, `${key} must be greater than ${field.exclusiveMin}`];
+      if (field.min !== undefined && value < field.min) return [undefined, `${key} must be at least ${field.min}`];
+      if (field.max !== undefined && value > field.max) return [undefined, `${key} must be at most ${field.max}`];
+      return [value];
+    }
+    case 'boolean': {
+      const value = coerceBoolean(raw);
+      return value === undefined ? [undefined, `${key} must be true or false`] : [value];
+    }
+    case 'date': {
+      const value = raw instanceof Date ? raw : new Date(raw);
+      return Number.isNaN(value.getTime()) ? [undefined, `${key} must be a valid date`] : [value];
+    }
+    case 'object':
+      return raw && typeof raw === 'object' && !Array.isArray(raw) ? [raw] : [undefined, `${key} must be an object`];
+    case 'array':
+      return Array.isArray(raw) ? [raw] : [undefined, `${key} must be an array`];
+    default:
+      return [raw];
+  }
+}
+
+/*
+ Validates a request body against an entity's input fields.
+ Returns { value, errors }: `value` holds only known input fields, coerced and trimmed;
+ `errors` is null or a { field: message } map. With { partial: true } (PATCH) missing
+ fields are skipped instead of reported as required.
+*/
+function validateInput(name, body, { partial = false } = {}) {
+  const schema = schemas[name];
+  if (!schema) throw new Error(`Unknown schema: ${name}`);
+  const input = body && typeof body === 'object' ? body : {};
+  const value = {};
+  const errors = {};
+
+  Object.entries(schema.fields).forEach(([key, field]) => {
+    if (field.input === false) return;
+    const raw = input[key];
+    const blank = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+    if (blank) {
+      if (field.required && (!partial || key in input)) errors[key] = `${key} is required`;
+      else if (key in input && raw !== undefined) {
+        if (field.nullable) value[key] = null;
+        else errors[key] = `${key} cannot be empty`;
+      }
+      return;
+    }
+    const [coerced, message] = coerceField(key, field, raw);
+    if (message) errors[key] = message;
+    else if (field.enum && !field.enum.includes(coerced)) errors[key] = `${key} must be one of: ${field.enum.join(', ')}`;
+    else value[key] = coerced;
+  });
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+module.exports = { schemas, toJsonSchema, validateInput, coerceBoolean };
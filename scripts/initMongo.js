@@ -16,137 +16,8 @@ if (!uri) {
   process.exit(1);
 }
 
-// Validators (JSON Schema)
-const usersValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['_id', 'email', 'role', 'createdAt'],
-    properties: {
-      _id: { bsonType: 'string' },
-      email: { bsonType: 'string', pattern: '^.+@.+\\..+$' },
-      firstName: { bsonType: ['string', 'null'] },
-      lastName: { bsonType: ['string', 'null'] },
-      phone: { bsonType: ['string', 'null'] },
-      role: { enum: ['user', 'campusAdmin', 'superAdmin'] },
-      universityId: { bsonType: ['string', 'null'] },
-      campusId: { bsonType: ['string', 'null'] },
-      isActive: { bsonType: 'bool' },
-      createdAt: { bsonType: 'date' },
-      updatedAt: { bsonType: ['date', 'null'] },
-      lastLogin: { bsonType: ['date', 'null'] }
-    }
-  }
-};
-
-const menuItemsValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['name', 'price', 'restaurantId', 'createdAt'],
-    properties: {
-      name: { bsonType: 'string' },
-      price: { bsonType: ['double', 'int', 'long', 'decimal'] },
-      restaurantId: { bsonType: 'string' },
-      campusId: { bsonType: ['string', 'null'] },
-      universityId: { bsonType: ['string', 'null'] },
-      photoURL: { bsonType: ['string', 'null'] },
-      description: { bsonType: ['string', 'null'] },
-      isAvailable: { bsonType: ['bool', 'null'] },
-      createdAt: { bsonType: 'date' },
-      updatedAt: { bsonType: ['date', 'null'] }
-    },
-    additionalProperties: false
-  }
-};
-
-const ordersValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['universityName', 'campusName', 'firstName', 'phone', 'gender', 'grandTotal', 'createdAt'],
-    properties: {
-      universityName: { bsonType: 'string' },
-      campusName: { bsonType: 'string' },
-      firstName: { bsonType: 'string' },
-      lastName: { bsonType: ['string', 'null'] },
-      phone: { bsonType: 'string' },
-      email: { bsonType: ['string', 'null'] },
-      gender: { enum: ['male', 'female'] },
-      persons: { bsonType: ['int', 'long'] },
-      deliveryCharge: { bsonType: ['double', 'int', 'long', 'decimal'] },
-      itemTotal: { bsonType: ['double', 'int', 'long', 'decimal'] },
-      grandTotal: { bsonType: ['double', 'int', 'long', 'decimal'] },
-      cartItems: { bsonType: ['string', 'null'] },
-      timestamp: { bsonType: ['string', 'null'] },
-      accountTitle: { bsonType: ['string', 'null'] },
-      bankName: { bsonType: ['string', 'null'] },
-      screenshotURL: { bsonType: ['string', 'null'] },
-      specialInstruction: { bsonType: ['string', 'null'] },
-      createdAt: { bsonType: 'date' },
-      universityId: { bsonType: ['string', 'null'] },
-      campusId: { bsonType: ['string', 'null'] },
-      status: { enum: ['pending', 'accepted', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled', null] }
-    }
-  }
-};
-
-const universitiesValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['name'],
-    properties: {
-      name: { bsonType: 'string' }
-    },
-    additionalProperties: false
-  }
-};
-
-const campusesValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['name', 'universityId'],
-    properties: {
-      name: { bsonType: 'string' },
-      universityId: { bsonType: 'string' }
-    },
-    additionalProperties: false
-  }
-};
-
-const restaurantsValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['name', 'campusId', 'universityId'],
-    properties: {
-      name: { bsonType: 'string' },
-      campusId: { bsonType: 'string' },
-      universityId: { bsonType: 'string' },
-      location: { bsonType: ['string', 'null'] },
-      cuisine: { bsonType: ['string', 'null'] },
-      openTime: { bsonType: ['string', 'null'] },
-      closeTime: { bsonType: ['string', 'null'] },
-      is24x7: { bsonType: ['bool', 'null'] }
-    },
-    additionalProperties: false
-  }
-};
-
-const martItemsValidator = {
-  $jsonSchema: {
-    bsonType: 'object',
-    required: ['name', 'price', 'campusId', 'createdAt'],
-    properties: {
-      name: { bsonType: 'string' },
-      price: { bsonType: ['double', 'int', 'long', 'decimal'] },
-      campusId: { bsonType: 'string' },
-      photoURL: { bsonType: ['string', 'null'] },
-      description: { bsonType: ['string', 'null'] },
-      category: { bsonType: ['string', 'null'] },
-      stock: { bsonType: ['int', 'long', 'null'] },
-      createdAt: { bsonType: 'date' },
-      updatedAt: { bsonType: ['date', 'null'] }
-    },
-    additionalProperties: false
-  }
-};
+// Validators (JSON Schema), generated from the shared entity schemas in ../schemas.js
+const { toJsonSchema } = require('../schemas');
 
 async function ensureCollection(db, name, validator) {
   const existing = await db.listCollections({ name }).toArray();
@@ -164,6 +35,8 @@ async function createIndexes(db) {
   await db.collection('users').createIndex({ email: 1 }, { unique: true, name: 'users_email_unique' });
   await db.collection('users').createIndex({ role: 1 }, { name: 'users_role' });
   await db.collection('users').createIndex({ campusId: 1 }, { name: 'users_campusId' });
+  await db.collection('users').createIndex({ restaurantId: 1 }, { name: 'users_restaurantId' });
+  await db.collection('users').createIndex({ campusId: 1, role: 1, createdAt: -1 }, { name: 'users_campusId_role_createdAt' });
 
   await db.collection('campuses').createIndex({ universityId: 1 }, { name: 'campuses_universityId' });
   await db.collection('campuses').createIndex({ name: 1, universityId: 1 }, { unique: true, name: 'campuses_name_universityId_unique' });
@@ -175,14 +48,39 @@ async function createIndexes(db) {
   await db.collection('menuItems').createIndex({ campusId: 1 }, { name: 'menuItems_campusId' });
   await db.collection('menuItems').createIndex({ name: 1, restaurantId: 1 }, { name: 'menuItems_name_restaurantId' });
 
+  await db.collection('promoCodes').createIndex({ code: 1 }, { unique: true, name: 'promoCodes_code_unique' });
+  await db.collection('promoCodes').createIndex({ campusId: 1, createdAt: -1 }, { name: 'promoCodes_campusId_createdAt' });
+
+  await db.collection('orders').createIndex({ 'promo.promoId': 1, userId: 1 }, { name: 'orders_promoId_userId' });
   await db.collection('orders').createIndex({ campusId: 1, createdAt: -1 }, { name: 'orders_campusId_createdAt' });
   await db.collection('orders').createIndex({ campusName: 1, createdAt: -1 }, { name: 'orders_campusName_createdAt' });
   await db.collection('orders').createIndex({ phone: 1, createdAt: -1 }, { name: 'orders_phone_createdAt' });
+  await db.collection('orders').createIndex({ userId: 1, createdAt: -1 }, { name: 'orders_userId_createdAt' });
+  await db.collection('orders').createIndex({ campusId: 1, paymentStatus: 1, createdAt: 1 }, { name: 'orders_campusId_paymentStatus_createdAt' });
+
+  // Expire stored Idempotency-Keys for POST /api/orders at their expiresAt
+  await db.collection('idempotencyKeys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'idempotencyKeys_expiresAt_ttl' });
+
+  // Per-slot booking counters; dropped a week after the slot's delivery time
+  await db.collection('deliverySlotBookings').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'deliverySlotBookings_expiresAt_ttl' });
+  await db.collection('orders').createIndex({ 'rider.uid': 1, status: 1 }, { name: 'orders_riderUid_status' });
+  await db.collection('orders').createIndex({ 'rider.uid': 1, 'rider.deliveredAt': -1 }, { name: 'orders_riderUid_deliveredAt' });
+  await db.collection('orders').createIndex({ campusId: 1, 'deliverySlot.date': 1 }, { name: 'orders_campusId_deliverySlotDate' });
+
+  // Notification outbox: due messages for the worker, finished ones expire at expiresAt
+  await db.collection('notificationOutbox').createIndex({ status: 1, nextAttemptAt: 1 }, { name: 'notificationOutbox_status_nextAttemptAt' });
+  await db.collection('notificationOutbox').createIndex({ orderId: 1 }, { name: 'notificationOutbox_orderId' });
+  await db.collection('notificationOutbox').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'notificationOutbox_expiresAt_ttl' });
+  await db.collection('deviceTokens').createIndex({ uid: 1 }, { name: 'deviceTokens_uid' });
+
+  // Mongo rate limit store (RATE_LIMIT_STORE=mongo): drop counters once their window is over
+  await db.collection('rateLimits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'rateLimits_expiresAt_ttl' });
 
   await db.collection('logs').createIndex({ timestamp: -1 }, { name: 'logs_timestamp' });
   await db.collection('logs').createIndex({ performedBy: 1, timestamp: -1 }, { name: 'logs_performedBy_timestamp' });
   await db.collection('logs').createIndex({ action: 1, timestamp: -1 }, { name: 'logs_action_timestamp' });
   await db.collection('logs').createIndex({ targetType: 1, targetId: 1 }, { name: 'logs_targetType_targetId' });
+  await db.collection('logs').createIndex({ campusId: 1, timestamp: -1 }, { name: 'logs_campusId_timestamp' });
 }
 
 async function main() {
@@ -192,14 +90,22 @@ async function main() {
   console.log(`Connected. Using database: ${dbName}`);
 
   // Ensure collections and validators
-  await ensureCollection(db, 'users', usersValidator);
-  await ensureCollection(db, 'universities', universitiesValidator);
-  await ensureCollection(db, 'campuses', campusesValidator);
-  await ensureCollection(db, 'restaurants', restaurantsValidator);
-  await ensureCollection(db, 'menuItems', menuItemsValidator);
-  await ensureCollection(db, 'martItems', martItemsValidator);
-  await ensureCollection(db, 'orders', ordersValidator);
+  await ensureCollection(db, 'users', toJsonSchema('users'));
+  await ensureCollection(db, 'universities', toJsonSchema('universities'));
+  await ensureCollection(db, 'campuses', toJsonSchema('campuses'));
+  await ensureCollection(db, 'restaurants', toJsonSchema('restaurants'));
+  await ensureCollection(db, 'menuItems', toJsonSchema('menuItems'));
+  await ensureCollection(db, 'martItems', toJsonSchema('martItems'));
+  await ensureCollection(db, 'campusSettings', toJsonSchema('campusSettings'));
+  await ensureCollection(db, 'promoCodes', toJsonSchema('promoCodes'));
+  await ensureCollection(db, 'orders', toJsonSchema('orders'));
   await ensureCollection(db, 'logs');
+  await ensureCollection(db, 'idempotencyKeys');
+  await ensureCollection(db, 'rateLimits');
+  await ensureCollection(db, 'deliverySlotBookings');
+  await ensureCollection(db, 'promoUserUses');
+  await ensureCollection(db, 'notificationOutbox');
+  await ensureCollection(db, 'deviceTokens');
 
   // Indexes
   await createIndexes(db);
@@ -0,0 +1,59 @@
+/*
+ Marks legacy mart items with `stock: 0` as untracked (`stock: null`)
+ Before stock reservation existed, mart items were created with stock 0 whether or not
+ anyone tracked stock, and ordering ignored it. Now 0 means sold out, so those items
+ could no longer be ordered.
+ Usage:
+   1) Make sure backend/.env has MONGODB_URI and MONGODB_DB
+   2) Run: npm run migrate:mart-stock [-- --dry-run] [-- --before=2025-01-31]
+ Only items no order ever reserved stock for are changed (a reserved item is really
+ tracked). --before additionally skips items updated on or after that date, e.g. the
+ day stock tracking was deployed. Review the --dry-run list first.
+*/
+
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const uri = process.env.MONGODB_URI;
+const dbName = process.env.MONGODB_DB || 'hungry_boys';
+const dryRun = process.argv.includes('--dry-run');
+const beforeArg = process.argv.find(a => a.startsWith('--before='));
+const before = beforeArg ? new Date(beforeArg.slice('--before='.length)) : null;
+
+if (!uri) {
+  console.error('Missing MONGODB_URI. Set it in backend/.env');
+  process.exit(1);
+}
+if (before && Number.isNaN(before.getTime())) {
+  console.error('--before must be a date, e.g. --before=2025-01-31');
+  process.exit(1);
+}
+
+async function main() {
+  const client = new MongoClient(uri, { serverSelectionTimeoutMS: 15000 });
+  await client.connect();
+  const db = client.db(dbName);
+
+  const filter = { stock: 0, deletedAt: null };
+  if (before) filter.$or = [{ updatedAt: null }, { updatedAt: { $lt: before } }];
+  const candidates = await db.collection('martItems').find(filter, { projection: { name: 1, campusId: 1 } }).toArray();
+
+  const reservedIds = new Set(await db.collection('orders').distinct('stockReservations.id'));
+  const legacy = candidates.filter(item => !reservedIds.has(String(item._id)));
+  console.log(`Found ${candidates.length} mart items with stock 0; ${legacy.length} were never reserved${dryRun ? ' (dry run)' : ''}`);
+  legacy.forEach(item => console.log(`  ${item._id}  ${item.campusId}  ${item.name}`));
+
+  if (!dryRun && legacy.length) {
+    const result = await db.collection('martItems').updateMany(
+      { _id: { $in: legacy.map(item => item._id) }, stock: 0 },
+      { $set: { stock: null, updatedAt: new Date() } }
+    );
+    console.log(`Migration complete: ${result.modifiedCount} items marked untracked.`);
+  }
+  await client.close();
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+/*
+ Copies user profiles from Firestore `users` into the MongoDB `users` collection
+ Usage:
+   1) Make sure backend/.env has MONGODB_URI, MONGODB_DB and Firebase Admin credentials
+      (FIREBASE_ADMIN_CREDENTIALS_BASE64, GOOGLE_CREDENTIALS_BASE64 or credentials.json)
+   2) Run: npm run migrate:users [-- --dry-run] [-- --overwrite]
+ Profiles already in MongoDB are left alone unless --overwrite is passed, since the
+ server writes to MongoDB first once it is deployed.
+*/
+
+require('dotenv').config();
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const admin = require('firebase-admin');
+
+const uri = process.env.MONGODB_URI;
+const dbName = process.env.MONGODB_DB || 'hungry_boys';
+const dryRun = process.argv.includes('--dry-run');
+const overwrite = process.argv.includes('--overwrite');
+
+if (!uri) {
+  console.error('Missing MONGODB_URI. Set it in backend/.env');
+  process.exit(1);
+}
+
+function loadFirebaseCredentials() {
+  const base64 = process.env.FIREBASE_ADMIN_CREDENTIALS_BASE64 || process.env.GOOGLE_CREDENTIALS_BASE64;
+  if (base64) return JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  return require(path.join(__dirname, '..', 'credentials.json'));
+}
+
+function toDateValue(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toMongoUser(uid, data) {
+  // The uid lives in _id, matching how the server stores profiles
+  const { _id, uid: _uid, ...rest } = data;
+  return {
+    ...rest,
+    _id: uid,
+    createdAt: toDateValue(rest.createdAt) || new Date(),
+    updatedAt: toDateValue(rest.updatedAt),
+    lastLogin: toDateValue(rest.lastLogin)
+  };
+}
+
+async function main() {
+  admin.initializeApp({ credential: admin.credential.cert(loadFirebaseCredentials()) });
+  const snapshot = await admin.firestore().collection('users').get();
+  console.log(`Found ${snapshot.size} Firestore profiles${dryRun ? ' (dry run)' : ''}`);
+
+  const client = new MongoClient(uri, { serverSelectionTimeoutMS: 15000 });
+  await client.connect();
+  const users = client.db(dbName).collection('users');
+
+  const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+  for (const doc of snapshot.docs) {
+    const user = toMongoUser(doc.id, doc.data());
+    try {
+      if (dryRun) {
+        const exists = await users.countDocuments({ _id: doc.id }, { limit: 1 });
+        counts[exists ? (overwrite ? 'updated' : 'unchanged') : 'inserted']++;
+        continue;
+      }
+      const { _id, ...fields } = user;
+      const result = await users.updateOne(
+        { _id: doc.id },
+        overwrite ? { $set: fields } : { $setOnInsert: fields },
+        { upsert: true }
+      );
+      if (result.upsertedCount) counts.inserted++;
+      else if (result.modifiedCount) counts.updated++;
+      else counts.unchanged++;
+    } catch (err) {
+      counts.failed++;
+      console.error(`Failed to migrate ${doc.id}:`, err.message);
+    }
+  }
+
+  console.log(`Migration complete: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed.`);
+  await client.close();
+  if (counts.failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { computeDeliveryFee, normalizeDeliveryRules } = require('../index');
+
+// Campus settings default to Asia/Karachi (UTC+5)
+const NOON = new Date('2026-03-02T12:00:00+05:00');
+const fee = (settings, cart) => computeDeliveryFee({ timezone: 'Asia/Karachi', ...settings }, { now: NOON, ...cart });
+
+test('per-person mode charges the unit fee per person', () => {
+  const { deliveryCharge, breakdown } = fee({ deliveryChargePerPerson: 40 }, { persons: 3, itemTotal: 900 });
+  assert.strictEqual(deliveryCharge, 120);
+  assert.deepStrictEqual(breakdown, { mode: 'perPerson', unitCharge: 40, tier: null, baseCharge: 120, freeDelivery: false, lateNightSurcharge: 0 });
+});
+
+test('per-order mode charges once', () => {
+  assert.strictEqual(fee({ deliveryFeeMode: 'perOrder', deliveryChargePerOrder: 150 }, { persons: 4, itemTotal: 900 }).deliveryCharge, 150);
+});
+
+test('the highest tier not above the basis replaces the unit charge', () => {
+  const settings = {
+    deliveryChargePerPerson: 50,
+    deliveryFeeTierBasis: 'persons',
+    deliveryFeeTiers: [{ from: 5, charge: 30 }, { from: 1, charge: 50 }, { from: 10, charge: 20 }]
+  };
+  assert.strictEqual(fee(settings, { persons: 4, itemTotal: 0 }).deliveryCharge, 200);
+  assert.strictEqual(fee(settings, { persons: 5, itemTotal: 0 }).deliveryCharge, 150);
+  assert.strictEqual(fee(settings, { persons: 12, itemTotal: 0 }).deliveryCharge, 240);
+
+  const byTotal = { deliveryFeeMode: 'perOrder', deliveryChargePerOrder: 200, deliveryFeeTierBasis: 'itemTotal', deliveryFeeTiers: [{ from: 1000, charge: 100 }] };
+  assert.strictEqual(fee(byTotal, { persons: 1, itemTotal: 999 }).deliveryCharge, 200);
+  assert.deepStrictEqual(fee(byTotal, { persons: 1, itemTotal: 1000 }).breakdown.tier, { basis: 'itemTotal', from: 1000, charge: 100 });
+});
+
+test('free delivery starts exactly at the threshold', () => {
+  const settings = { deliveryChargePerPerson: 50, freeDeliveryAbove: 2000 };
+  assert.strictEqual(fee(settings, { persons: 2, itemTotal: 1999.99 }).deliveryCharge, 100);
+  assert.strictEqual(fee(settings, { persons: 2, itemTotal: 2000 }).deliveryCharge, 0);
+  assert.strictEqual(fee({ deliveryChargePerPerson: 50, freeDeliveryAbove: 0 }, { persons: 1, itemTotal: 0 }).deliveryCharge, 0);
+});
+
+test('the late-night surcharge wraps past midnight and survives free delivery', () => {
+  const settings = { deliveryChargePerPerson: 50, freeDeliveryAbove: 1000, lateNightSurcharge: { start: '23:00', end: '03:00', amount: 25, perPerson: true } };
+  const atLocal = time => computeDeliveryFee({ timezone: 'Asia/Karachi', ...settings }, { persons: 2, itemTotal: 1500, now: new Date(`2026-03-02T${time}+05:00`) });
+  assert.strictEqual(atLocal('22:59:00').deliveryCharge, 0);
+  assert.strictEqual(atLocal('23:00:00').deliveryCharge, 50);
+  assert.strictEqual(atLocal('02:59:00').deliveryCharge, 50);
+  assert.strictEqual(atLocal('03:00:00').deliveryCharge, 0);
+  assert.deepStrictEqual(
+    [atLocal('23:30:00').breakdown.freeDelivery, atLocal('23:30:00').breakdown.lateNightSurcharge],
+    [true, 50]
+  );
+});
+
+test('stored Double/Decimal-like values are read as numbers', () => {
+  const double = value => ({ valueOf: () => value });
+  assert.strictEqual(fee({ deliveryChargePerPerson: double(45.5) }, { persons: 2, itemTotal: 0 }).deliveryCharge, 91);
+});
+
+test('normalizeDeliveryRules validates and sorts the rules', () => {
+  assert.deepStrictEqual(
+    normalizeDeliveryRules({ deliveryChargePerPerson: 50, deliveryFeeTierBasis: 'persons', deliveryFeeTiers: [{ from: '5', charge: '30' }, { from: 1, charge: 50 }] }),
+    { value: { deliveryFeeTiers: [{ from: 1, charge: 50 }, { from: 5, charge: 30 }] } }
+  );
+  assert.deepStrictEqual(normalizeDeliveryRules({ deliveryFeeMode: 'perOrder' }).errors, {
+    deliveryChargePerOrder: 'deliveryChargePerOrder is required when deliveryFeeMode is perOrder'
+  });
+  assert.ok(normalizeDeliveryRules({ deliveryChargePerPerson: 50, deliveryFeeTiers: [{ from: 1, charge: 5 }] }).errors.deliveryFeeTierBasis);
+  assert.ok(normalizeDeliveryRules({ deliveryChargePerPerson: 50, deliveryFeeTierBasis: 'persons' }).errors.deliveryFeeTiers);
+  assert.ok(normalizeDeliveryRules({ deliveryChargePerPerson: 50, deliveryFeeTierBasis: 'persons', deliveryFeeTiers: [{ from: -1, charge: 5 }] }).errors.deliveryFeeTiers);
+  assert.ok(normalizeDeliveryRules({ deliveryChargePerPerson: 50, lateNightSurcharge: { start: '23:00', end: 'late', amount: 10 } }).errors.lateNightSurcharge);
+  assert.ok(normalizeDeliveryRules({ deliveryChargePerPerson: 50, lateNightSurcharge: { start: '23:00', end: '03:00', amount: 0 } }).errors.lateNightSurcharge);
+  assert.deepStrictEqual(
+    normalizeDeliveryRules({ deliveryChargePerPerson: 50, lateNightSurcharge: { start: ' 23:00 ', end: '03:00', amount: '20' } }).value.lateNightSurcharge,
+    { start: '23:00', end: '03:00', amount: 20, perPerson: false }
+  );
+});
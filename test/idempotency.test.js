@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { idempotencyMiddleware } = require('../index');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const START = Date.parse('2026-03-01T12:00:00Z');
+
+// Middleware over an in-memory key store with a clock the test moves by hand
+function setup() {
+  const keys = createMemoryDb().collection('idempotencyKeys');
+  const clock = { now: START };
+  const middleware = idempotencyMiddleware(async () => keys, () => new Date(clock.now));
+  return { keys, clock, middleware };
+}
+
+function request(body, key = 'key-1', uid = 'uid-user') {
+  return { body, user: { uid }, get: name => (name === 'Idempotency-Key' ? key : undefined) };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Runs the middleware; `handler(res)` plays the route when the request gets through
+async function send(middleware, req, handler = res => res.status(201).json({ id: 'order-1' })) {
+  const res = response();
+  let handled = false;
+  await middleware(req, res, () => { handled = true; handler(res); });
+  // Key bookkeeping after res.json is fire-and-forget; let it settle
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+}
+
+const body = { campusId: 'campus-a', cartItems: [{ id: 'item-1', quantity: 2 }] };
+
+test('requests without a key pass straight through', async () => {
+  const { middleware, keys } = setup();
+  const { handled } = await send(middleware, { ...request(body), get: () => undefined });
+  assert.strictEqual(handled, true);
+  assert.strictEqual(await keys.countDocuments(), 0);
+});
+
+test('malformed keys are rejected', async () => {
+  const { middleware } = setup();
+  for (const key of ['   ', 'k'.repeat(256)]) {
+    const { res, handled } = await send(middleware, request(body, key));
+    assert.strictEqual(handled, false);
+    assert.strictEqual(res.statusCode, 400);
+  }
+});
+
+test('a completed request is replayed instead of running again', async () => {
+  const { middleware, keys } = setup();
+  const first = await send(middleware, request(body));
+  assert.strictEqual(first.handled, true);
+  assert.strictEqual((await keys.findOne({ _id: 'uid-user:key-1' })).state, 'completed');
+
+  // Key order and a fresh reCAPTCHA token do not change the fingerprint
+  const retryBody = { cartItems: body.cartItems, campusId: 'campus-a', recaptchaToken: 'fresh' };
+  const retry = await send(middleware, request(retryBody), () => assert.fail('handler must not run on replay'));
+  assert.strictEqual(retry.handled, false);
+  assert.strictEqual(retry.res.statusCode, 201);
+  assert.deepStrictEqual(retry.res.body, { id: 'order-1' });
+  assert.strictEqual(retry.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('keys are per caller', async () => {
+  const { middleware } = setup();
+  await send(middleware, request(body, 'key-1', 'uid-a'));
+  const other = await send(middleware, request(body, 'key-1', 'uid-b'));
+  assert.strictEqual(other.handled, true);
+});
+
+test('reusing a key with a different request is refused', async () => {
+  const { middleware } = setup();
+  await send(middleware, request(body));
+  const { res, handled } = await send(middleware, request({ ...body, persons: 3 }));
+  assert.strictEqual(handled, false);
+  assert.strictEqual(res.statusCode, 422);
+});
+
+test('failed requests release the key so they can be retried', async () => {
+  const { middleware, keys } = setup();
+  await send(middleware, request(body), res => res.status(409).json({ error: 'Out of stock' }));
+  assert.strictEqual(await keys.countDocuments(), 0);
+  const retry = await send(middleware, request(body));
+  assert.strictEqual(retry.handled, true);
+  assert.strictEqual(retry.res.statusCode, 201);
+});
+
+test('a retry during a live lease gets 409', async () => {
+  const { middleware, clock } = setup();
+  await send(middleware, request(body), () => {}); // still processing
+  clock.now += 30 * 1000;
+  const { res, handled } = await send(middleware, request(body));
+  assert.strictEqual(handled, false);
+  assert.strictEqual(res.statusCode, 409);
+});
+
+test('a retry takes over a key whose lease expired, and the stale request cannot overwrite it', async () => {
+  const { middleware, keys, clock } = setup();
+  let crashedRes;
+  await send(middleware, request(body), res => { crashedRes = res; }); // never answers
+  const { leaseId: staleLease } = await keys.findOne({ _id: 'uid-user:key-1' });
+
+  clock.now += 61 * 1000;
+  const takeover = await send(middleware, request(body), res => res.status(201).json({ id: 'order-2' }));
+  assert.strictEqual(takeover.handled, true);
+  const stored = await keys.findOne({ _id: 'uid-user:key-1' });
+  assert.notStrictEqual(stored.leaseId, staleLease);
+  assert.strictEqual(stored.state, 'completed');
+
+  // The original request finally fails; its release must not drop the new owner's record
+  crashedRes.status(500).json({ error: 'late failure' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual((await keys.findOne({ _id: 'uid-user:key-1' })).response.body, { id: 'order-2' });
+
+  // A second retry after takeover sees the fresh lease's result
+  const replay = await send(middleware, request(body));
+  assert.deepStrictEqual(replay.res.body, { id: 'order-2' });
+});
+
+test('only one of two stale-lease retries wins the takeover', async () => {
+  const { middleware, clock } = setup();
+  await send(middleware, request(body), () => {});
+  clock.now += 61 * 1000;
+  const winner = await send(middleware, request(body), () => {}); // takes over, still processing
+  const loser = await send(middleware, request(body));
+  assert.strictEqual(winner.handled, true);
+  assert.strictEqual(loser.handled, false);
+  assert.strictEqual(loser.res.statusCode, 409);
+});
+
+test('claims from before leases existed expire by createdAt', async () => {
+  const { middleware, keys, clock } = setup();
+  // Claim once under another key to learn the request's fingerprint
+  await send(middleware, request(body, 'probe'), () => {});
+  const { fingerprint } = await keys.findOne({ _id: 'uid-user:probe' });
+  await keys.insertOne({
+    _id: 'uid-user:key-1',
+    fingerprint,
+    state: 'processing',
+    createdAt: new Date(START),
+    expiresAt: new Date(START + 24 * 3600 * 1000)
+  });
+  assert.strictEqual((await send(middleware, request(body))).res.statusCode, 409);
+  clock.now += 61 * 1000;
+  assert.strictEqual((await send(middleware, request(body))).handled, true);
+});
+
+test('keys past their TTL are claimed afresh even with a different request', async () => {
+  const { middleware, clock } = setup();
+  await send(middleware, request(body));
+  clock.now += 25 * 3600 * 1000;
+  const { handled } = await send(middleware, request({ ...body, persons: 4 }));
+  assert.strictEqual(handled, true);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { reserveMartStock, releaseMartStock, restoreOrderStock } = require('../index');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const water = { _id: new ObjectId(), name: 'Water', stock: 5 };
+const chips = { _id: new ObjectId(), name: 'Chips', stock: 2 };
+const napkins = { _id: new ObjectId(), name: 'Napkins', stock: null };
+
+const seedDb = () => createMemoryDb({ martItems: [water, chips, napkins] });
+const line = (item, quantity, type = 'mart') => ({ id: String(item._id), type, quantity });
+const stockOf = async (db, item) => (await db.collection('martItems').findOne({ _id: item._id })).stock;
+
+test('reserves the summed quantity of every mart line', async () => {
+  const db = seedDb();
+  const result = await reserveMartStock(db, [line(water, 2), line(chips, 1), line(water, 1), line({ _id: 'menu-1' }, 4, 'menu')]);
+  assert.deepStrictEqual(result, { reserved: [{ id: String(water._id), quantity: 3 }, { id: String(chips._id), quantity: 1 }] });
+  assert.strictEqual(await stockOf(db, water), 2);
+  assert.strictEqual(await stockOf(db, chips), 1);
+});
+
+test('a shortage rolls back the lines already reserved', async () => {
+  const db = seedDb();
+  const result = await reserveMartStock(db, [line(water, 4), line(chips, 3)]);
+  assert.deepStrictEqual(result, { shortages: [{ id: String(chips._id), name: 'Chips', error: 'Only 2 left in stock', available: 2 }] });
+  assert.strictEqual(await stockOf(db, water), 5);
+  assert.strictEqual(await stockOf(db, chips), 2);
+});
+
+test('untracked stock is never limited or changed', async () => {
+  const db = seedDb();
+  assert.deepStrictEqual(await reserveMartStock(db, [line(napkins, 500)]), { reserved: [] });
+  assert.strictEqual(await stockOf(db, napkins), null);
+});
+
+test('concurrent checkouts cannot oversell', async () => {
+  const db = seedDb();
+  const results = await Promise.all(Array.from({ length: 8 }, () => reserveMartStock(db, [line(water, 1)])));
+  assert.strictEqual(results.filter(r => r.reserved).length, 5);
+  assert.ok(results.filter(r => r.shortages).every(r => r.shortages[0].error === 'Out of stock'));
+  assert.strictEqual(await stockOf(db, water), 0);
+});
+
+test('stock is given back once however often an order is cancelled', async () => {
+  const db = seedDb();
+  const { reserved } = await reserveMartStock(db, [line(water, 3)]);
+  const order = { _id: new ObjectId(), stockReservations: reserved };
+  db.collection('orders').docs.push({ ...order });
+  await restoreOrderStock(db, order);
+  await restoreOrderStock(db, order);
+  assert.strictEqual(await stockOf(db, water), 5);
+
+  // A manual release only touches tracked items
+  await releaseMartStock(db, [{ id: String(napkins._id), quantity: 2 }]);
+  assert.strictEqual(await stockOf(db, napkins), null);
+});
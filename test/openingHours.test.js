@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseTimeOfDay, restaurantOpenState, validateOpeningHours } = require('../index');
+
+// Asia/Karachi is UTC+5 all year; 2026-03-02 is a Monday
+const KARACHI = 'Asia/Karachi';
+const at = localTime => new Date(`${localTime}+05:00`);
+const openState = (restaurant, localTime, zone = KARACHI) => restaurantOpenState({ _id: 'r1', name: 'Rest One', ...restaurant }, zone, at(localTime));
+
+test('parseTimeOfDay accepts 12h and 24h spellings', () => {
+  assert.strictEqual(parseTimeOfDay('10:00 AM'), 600);
+  assert.strictEqual(parseTimeOfDay('10 pm'), 1320);
+  assert.strictEqual(parseTimeOfDay('12:30 a.m.'), 30);
+  assert.strictEqual(parseTimeOfDay('12:00 PM'), 720);
+  assert.strictEqual(parseTimeOfDay('22:15'), 1335);
+  assert.strictEqual(parseTimeOfDay('24:00'), 0);
+  for (const bad of ['13 pm', '25:00', '10:60', 'noon', '', null, 1000]) assert.strictEqual(parseTimeOfDay(bad), null, String(bad));
+});
+
+test('a same-day window is open inside and reports the next opening outside', () => {
+  const hours = { openTime: '10:00 AM', closeTime: '10:00 PM' };
+  assert.deepStrictEqual(openState(hours, '2026-03-02T12:00:00'), { isOpenNow: true, nextOpenAt: null, hoursConfigured: true });
+  assert.deepStrictEqual(openState(hours, '2026-03-02T09:00:00'), { isOpenNow: false, nextOpenAt: '2026-03-02T05:00:00.000Z', hoursConfigured: true });
+  // Closing time itself is closed; the next opening is tomorrow
+  assert.deepStrictEqual(openState(hours, '2026-03-02T22:00:00'), { isOpenNow: false, nextOpenAt: '2026-03-03T05:00:00.000Z', hoursConfigured: true });
+});
+
+test('overnight windows stay open past midnight', () => {
+  const hours = { openTime: '6:00 PM', closeTime: '2:00 AM' };
+  assert.strictEqual(openState(hours, '2026-03-02T19:00:00').isOpenNow, true);
+  assert.strictEqual(openState(hours, '2026-03-03T01:30:00').isOpenNow, true);
+  const afterClose = openState(hours, '2026-03-03T02:00:00');
+  assert.strictEqual(afterClose.isOpenNow, false);
+  assert.strictEqual(afterClose.nextOpenAt, '2026-03-03T13:00:00.000Z');
+});
+
+test('an overnight run belongs to the day it started on', () => {
+  // Open Monday night only: Tuesday 01:00 is still Monday's run, Monday 01:00 is not
+  const hours = { schedule: { mon: [{ open: '20:00', close: '03:00' }], sun: [], tue: [], wed: [], thu: [], fri: [], sat: [] } };
+  assert.strictEqual(openState(hours, '2026-03-03T01:00:00').isOpenNow, true);
+  assert.strictEqual(openState(hours, '2026-03-02T01:00:00').isOpenNow, false);
+});
+
+test('holidays close the day and cut off the overnight spillover from a holiday', () => {
+  const hours = { openTime: '6:00 PM', closeTime: '2:00 AM', holidays: [{ date: '2026-03-02', reason: 'Eid' }] };
+  const holiday = openState(hours, '2026-03-02T19:00:00');
+  assert.strictEqual(holiday.isOpenNow, false);
+  assert.strictEqual(holiday.nextOpenAt, '2026-03-03T13:00:00.000Z');
+  assert.strictEqual(openState(hours, '2026-03-03T01:00:00').isOpenNow, false);
+});
+
+test('runs of holidays push the next opening past them', () => {
+  const holidays = ['2026-03-03', '2026-03-04', '2026-03-05'].map(date => ({ date }));
+  const state = openState({ openTime: '10:00', closeTime: '22:00', holidays }, '2026-03-02T23:00:00');
+  assert.strictEqual(state.nextOpenAt, '2026-03-06T05:00:00.000Z');
+});
+
+test('per-day schedules override the default hours and an empty day is closed', () => {
+  const hours = { openTime: '10:00', closeTime: '22:00', schedule: { mon: [], tue: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:00' }] } };
+  const monday = openState(hours, '2026-03-02T12:00:00');
+  assert.strictEqual(monday.isOpenNow, false);
+  assert.strictEqual(monday.nextOpenAt, '2026-03-03T07:00:00.000Z');
+  assert.strictEqual(openState(hours, '2026-03-03T16:00:00').nextOpenAt, '2026-03-03T13:00:00.000Z');
+  assert.strictEqual(openState(hours, '2026-03-03T19:00:00').isOpenNow, true);
+  // Days missing from the schedule fall back to openTime/closeTime
+  assert.strictEqual(openState(hours, '2026-03-04T11:00:00').isOpenNow, true);
+});
+
+test('equal open and close means open all day', () => {
+  assert.strictEqual(openState({ openTime: '00:00', closeTime: '00:00' }, '2026-03-02T03:00:00').isOpenNow, true);
+});
+
+test('24x7 restaurants close only on holidays', () => {
+  assert.strictEqual(openState({ is24x7: true }, '2026-03-02T03:00:00').isOpenNow, true);
+  const holiday = openState({ is24x7: true, holidays: [{ date: '2026-03-02' }] }, '2026-03-02T03:00:00');
+  assert.deepStrictEqual(holiday, { isOpenNow: false, nextOpenAt: '2026-03-02T19:00:00.000Z', hoursConfigured: true });
+});
+
+test('restaurants without usable hours stay open and say so', () => {
+  assert.deepStrictEqual(openState({ openTime: 'late', closeTime: null }, '2026-03-02T03:00:00'), { isOpenNow: true, nextOpenAt: null, hoursConfigured: false });
+  assert.strictEqual(openState({ holidays: [{ date: '2026-03-02' }] }, '2026-03-02T03:00:00').isOpenNow, false);
+});
+
+test('next opening follows the campus timezone across a DST change', () => {
+  // US clocks go forward on Sunday 2026-03-08: 10:00 that day is 14:00Z instead of 15:00Z
+  const state = restaurantOpenState({ _id: 'r2', openTime: '10:00', closeTime: '22:00' }, 'America/New_York', new Date('2026-03-08T04:00:00Z'));
+  assert.strictEqual(state.isOpenNow, false);
+  assert.strictEqual(state.nextOpenAt, '2026-03-08T14:00:00.000Z');
+});
+
+test('validateOpeningHours reports the first bad field', () => {
+  assert.strictEqual(validateOpeningHours({ openTime: '10:00', closeTime: '22:00', schedule: { mon: null }, holidays: [] }), null);
+  assert.ok(validateOpeningHours({ openTime: '25:00' }).openTime);
+  assert.ok(validateOpeningHours({ closeTime: 'soon' }).closeTime);
+  assert.match(validateOpeningHours({ schedule: { funday: [] } }).schedule, /unknown day 'funday'/);
+  assert.match(validateOpeningHours({ schedule: { mon: { open: '10:00' } } }).schedule, /must be an array/);
+  assert.match(validateOpeningHours({ schedule: { mon: [{ open: '10:00' }] } }).schedule, /invalid window/);
+  assert.match(validateOpeningHours({ holidays: [{ date: '02/03/2026' }] }).holidays, /YYYY-MM-DD/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { listOrdersPage } = require('../index');
+const { createMemoryDb } = require('./support/memoryDb');
+
+function seedOrders(count) {
+  const start = Date.parse('2026-03-01T00:00:00Z');
+  return createMemoryDb({
+    orders: Array.from({ length: count }, (_, i) => ({
+      _id: new ObjectId(),
+      campusId: i % 2 ? 'campus-a' : 'campus-b',
+      status: 'pending',
+      createdAt: new Date(start + i * 60000)
+    }))
+  });
+}
+
+test('without paginate or cursor the list keeps the bare-array contract', async () => {
+  const db = seedOrders(5);
+  const page = await listOrdersPage(db, { campusId: 'campus-a' }, {});
+  assert.strictEqual(page.legacy, true);
+  assert.strictEqual(page.items.length, 2);
+  assert.ok(page.items.every(o => o.campusId === 'campus-a'));
+  assert.ok(page.items[0].createdAt > page.items[1].createdAt);
+  assert.strictEqual((await listOrdersPage(db, {}, { limit: '3' })).items.length, 3);
+});
+
+test('legacy lists use the route default and cap explicit limits', async () => {
+  const db = seedOrders(60);
+  assert.strictEqual((await listOrdersPage(db, {}, {})).items.length, 50);
+  assert.strictEqual((await listOrdersPage(db, {}, {}, { legacyLimit: 1000 })).items.length, 60);
+  assert.strictEqual((await listOrdersPage(db, {}, { limit: '-5' })).items.length, 1);
+});
+
+test('paginate=true returns the envelope and cursors walk every order once', async () => {
+  const db = seedOrders(7);
+  const seen = [];
+  let page = await listOrdersPage(db, {}, { paginate: 'true', limit: '3' });
+  assert.deepStrictEqual(Object.keys(page).sort(), ['items', 'limit', 'nextCursor', 'total']);
+  assert.strictEqual(page.total, 7);
+  seen.push(...page.items);
+  while (page.nextCursor) {
+    page = await listOrdersPage(db, {}, { cursor: page.nextCursor, limit: '3' });
+    seen.push(...page.items);
+  }
+  assert.strictEqual(seen.length, 7);
+  assert.strictEqual(new Set(seen.map(o => String(o._id))).size, 7);
+});
+
+test('bad filters are reported in either mode', async () => {
+  const db = seedOrders(1);
+  assert.deepStrictEqual((await listOrdersPage(db, {}, { status: 'lost' })).fields, { status: 'Invalid status: lost' });
+  assert.deepStrictEqual((await listOrdersPage(db, {}, { cursor: 'nope' })).fields, { cursor: 'Invalid cursor' });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { ORDER_STATUSES, checkStatusTransition, changeOrderStatus } = require('../index');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const ROLES = ['user', 'campusAdmin', 'superAdmin', 'restaurantManager', 'rider'];
+
+// from -> to -> roles, written out by hand; every pair not listed must be refused
+const EXPECTED_TRANSITIONS = {
+  pending: { accepted: ['campusAdmin', 'restaurantManager'], cancelled: ['campusAdmin', 'restaurantManager', 'user'] },
+  accepted: { preparing: ['campusAdmin', 'restaurantManager'], cancelled: ['campusAdmin', 'restaurantManager'] },
+  preparing: { ready: ['campusAdmin', 'restaurantManager'], cancelled: ['campusAdmin'] },
+  ready: { 'out-for-delivery': ['campusAdmin', 'rider'], cancelled: ['campusAdmin'] },
+  'out-for-delivery': { delivered: ['campusAdmin', 'rider'] },
+  delivered: {},
+  cancelled: {}
+};
+
+test('transition table: every from × to × role', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const to of ORDER_STATUSES) {
+      for (const role of ROLES) {
+        const roles = EXPECTED_TRANSITIONS[from][to];
+        const denial = checkStatusTransition(from, to, role);
+        if (roles && roles.includes(role)) {
+          assert.strictEqual(denial, null, `${role}: ${from} -> ${to} should be allowed`);
+        } else {
+          assert.ok(denial, `${role}: ${from} -> ${to} should be refused`);
+          assert.strictEqual(denial.code, roles ? 403 : 409, `${role}: ${from} -> ${to}`);
+          assert.deepStrictEqual(
+            denial.allowed,
+            Object.keys(EXPECTED_TRANSITIONS[from]).filter(next => EXPECTED_TRANSITIONS[from][next].includes(role))
+          );
+        }
+      }
+    }
+  }
+});
+
+test('final statuses explain that they cannot change', () => {
+  assert.strictEqual(checkStatusTransition('delivered', 'pending', 'campusAdmin').error, "Order is already 'delivered' and can no longer change status");
+  assert.strictEqual(checkStatusTransition('pending', 'teleported', 'campusAdmin').error, "Cannot change order status from 'pending' to 'teleported'");
+});
+
+function request(role, uid = `uid-${role}`) {
+  return { user: { uid }, userProfile: { uid, role, email: `${role}@example.com` } };
+}
+
+function seedOrder(fields = {}) {
+  const order = { _id: new ObjectId(), campusId: 'campus-a', status: 'pending', paymentStatus: 'verified', statusHistory: [], ...fields };
+  return { db: createMemoryDb({ orders: [order] }), order };
+}
+
+test('a status change is stored with its history entry', async () => {
+  const { db, order } = seedOrder();
+  const result = await changeOrderStatus(db, request('campusAdmin'), order, 'accepted', '  confirmed by phone ');
+  assert.strictEqual(result.order.status, 'accepted');
+  assert.strictEqual(result.order.statusHistory.length, 1);
+  const [entry] = result.order.statusHistory;
+  assert.strictEqual(entry.from, 'pending');
+  assert.strictEqual(entry.to, 'accepted');
+  assert.strictEqual(entry.note, 'confirmed by phone');
+  assert.deepStrictEqual(entry.changedBy, { uid: 'uid-campusAdmin', email: 'campusAdmin@example.com', role: 'campusAdmin' });
+});
+
+test('refused transitions leave the order untouched', async () => {
+  const { db, order } = seedOrder({ status: 'delivered' });
+  const result = await changeOrderStatus(db, request('campusAdmin'), order, 'cancelled');
+  assert.strictEqual(result.code, 409);
+  assert.strictEqual(result.body.currentStatus, 'delivered');
+  assert.strictEqual((await db.collection('orders').findOne({ _id: order._id })).status, 'delivered');
+});
+
+test('unverified payments block kitchen and delivery statuses', async () => {
+  const { db, order } = seedOrder({ status: 'accepted', paymentStatus: 'unverified' });
+  const result = await changeOrderStatus(db, request('restaurantManager'), order, 'preparing');
+  assert.strictEqual(result.code, 409);
+  assert.strictEqual(result.body.paymentStatus, 'unverified');
+
+  // Orders from before payment verification have no paymentStatus and are not gated
+  const legacy = seedOrder({ status: 'accepted', paymentStatus: undefined });
+  assert.strictEqual((await changeOrderStatus(legacy.db, request('restaurantManager'), legacy.order, 'preparing')).order.status, 'preparing');
+});
+
+test('a concurrent change makes the stale update fail with 409', async () => {
+  const { db, order } = seedOrder();
+  await changeOrderStatus(db, request('campusAdmin'), order, 'accepted');
+  const stale = await changeOrderStatus(db, request('user'), order, 'cancelled');
+  assert.strictEqual(stale.code, 409);
+  assert.match(stale.body.error, /changed while updating/);
+  assert.strictEqual((await db.collection('orders').findOne({ _id: order._id })).status, 'accepted');
+});
+
+test('cancelling gives back stock, promo and slot exactly once', async () => {
+  const waterId = new ObjectId();
+  const promoId = new ObjectId();
+  const { db, order } = seedOrder({
+    userId: 'uid-user',
+    persons: 2,
+    stockReservations: [{ id: String(waterId), quantity: 3 }],
+    promo: { promoId: String(promoId), code: 'SAVE10' },
+    deliverySlot: { id: 'lunch', date: '2026-03-01' }
+  });
+  db.collection('martItems').docs.push({ _id: waterId, name: 'Water', stock: 7 });
+  db.collection('promoCodes').docs.push({ _id: promoId, code: 'SAVE10', usedCount: 4 });
+  db.collection('promoUserUses').docs.push({ _id: `${promoId}:uid-user`, count: 1 });
+  db.collection('deliverySlotBookings').docs.push({ _id: 'campus-a:lunch:2026-03-01', orders: 5, persons: 9 });
+
+  const result = await changeOrderStatus(db, request('user', 'uid-user'), order, 'cancelled', 'changed my mind');
+  assert.strictEqual(result.order.status, 'cancelled');
+  // A retried cancellation is refused and releases nothing again
+  const retry = await changeOrderStatus(db, request('user', 'uid-user'), result.order, 'cancelled');
+  assert.strictEqual(retry.code, 409);
+
+  assert.strictEqual((await db.collection('martItems').findOne({ _id: waterId })).stock, 10);
+  assert.strictEqual((await db.collection('promoCodes').findOne({ _id: promoId })).usedCount, 3);
+  assert.strictEqual((await db.collection('promoUserUses').findOne({ _id: `${promoId}:uid-user` })).count, 0);
+  const booking = await db.collection('deliverySlotBookings').findOne({ _id: 'campus-a:lunch:2026-03-01' });
+  assert.deepStrictEqual([booking.orders, booking.persons], [4, 7]);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { app, PERMISSIONS, permissionDenial, profileDenial, authorize } = require('../index');
+
+// Expected policy, written out by hand so a change to PERMISSIONS has to be mirrored here.
+// Roles missing from an action are denied it.
+const EXPECTED = {
+  'university.manage': { superAdmin: 'any' },
+  'campus.manage': { superAdmin: 'any' },
+  'restaurant.create': { superAdmin: 'any', campusAdmin: 'campus' },
+  'restaurant.update': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' },
+  'restaurant.delete': { superAdmin: 'any', campusAdmin: 'campus' },
+  'restaurant.purge': { superAdmin: 'any' },
+  'menuItem.manage': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' },
+  'martItem.manage': { superAdmin: 'any', campusAdmin: 'campus' },
+  'campusSettings.manage': { superAdmin: 'any' },
+  'deliverySlot.manage': { superAdmin: 'any', campusAdmin: 'campus' },
+  'promoCode.manage': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' },
+  'order.create': { user: 'campus', campusAdmin: 'campus', restaurantManager: 'campus', superAdmin: 'campus' },
+  'order.list': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'campus', user: 'own' },
+  'order.listAll': { superAdmin: 'any' },
+  'order.listRestaurant': { restaurantManager: 'restaurant' },
+  'order.listMine': { superAdmin: 'own', campusAdmin: 'own', restaurantManager: 'own', user: 'own' },
+  'order.export': { superAdmin: 'any', campusAdmin: 'campus' },
+  'order.stream': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant', rider: 'own' },
+  'order.read': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant', user: 'own' },
+  'order.cancel': { superAdmin: 'own', campusAdmin: 'own', restaurantManager: 'own', user: 'own' },
+  'order.updateStatus': { campusAdmin: 'campus', restaurantManager: 'restaurant', user: 'own' },
+  'order.reviewPayment': { campusAdmin: 'campus' },
+  'order.listPendingPayments': { superAdmin: 'any', campusAdmin: 'campus' },
+  'order.assignRider': { superAdmin: 'any', campusAdmin: 'campus' },
+  'delivery.listMine': { rider: 'own' },
+  'delivery.update': { rider: 'own' },
+  'rider.history': { superAdmin: 'any', campusAdmin: 'campus', rider: 'own' },
+  'user.manage': { superAdmin: 'any', campusAdmin: 'campus' },
+  'report.read': { superAdmin: 'any', campusAdmin: 'campus', restaurantManager: 'restaurant' },
+  'log.read': { superAdmin: 'any' },
+  'notification.registerDevice': { user: 'own', campusAdmin: 'own', superAdmin: 'own', restaurantManager: 'own', rider: 'own' },
+  'notification.manage': { superAdmin: 'any' }
+};
+
+const CAMPUS = 'campus-a';
+const OTHER_CAMPUS = 'campus-b';
+
+const PROFILES = {
+  user: { uid: 'uid-user', role: 'user', campusId: CAMPUS },
+  campusAdmin: { uid: 'uid-campus-admin', role: 'campusAdmin', campusId: CAMPUS },
+  superAdmin: { uid: 'uid-super-admin', role: 'superAdmin', campusId: CAMPUS },
+  restaurantManager: { uid: 'uid-manager', role: 'restaurantManager', campusId: CAMPUS, restaurantId: 'rest-1', restaurantName: 'Rest One' },
+  rider: { uid: 'uid-rider', role: 'rider', campusId: CAMPUS }
+};
+
+// Each target is built for the caller; `allowed` lists the scopes that may act on it
+const TARGETS = {
+  none: { build: () => null, allowed: ['any', 'campus', 'restaurant', 'own'] },
+  own: {
+    build: p => ({ campusId: CAMPUS, restaurantIds: ['rest-1'], restaurantNames: ['Rest One'], userId: p.uid }),
+    allowed: ['any', 'campus', 'restaurant', 'own']
+  },
+  sameCampus: {
+    build: () => ({ campusId: CAMPUS, restaurantIds: ['rest-2'], restaurantNames: ['Rest Two'], userId: 'uid-someone-else' }),
+    allowed: ['any', 'campus']
+  },
+  otherCampus: {
+    build: () => ({ campusId: OTHER_CAMPUS, restaurantIds: ['rest-3'], restaurantNames: ['Rest Three'], userId: 'uid-someone-else' }),
+    allowed: ['any']
+  }
+};
+
+// Routes declaring an action through authorize(), read from the Express router
+function protectedRoutes() {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .map(layer => {
+      const handlers = layer.route.stack.map(l => l.handle);
+      return {
+        name: `${Object.keys(layer.route.methods)[0].toUpperCase()} ${layer.route.path}`,
+        authenticated: handlers.some(h => h.name === 'verifyFirebaseToken'),
+        action: handlers.find(h => h.action)?.action
+      };
+    })
+    .filter(route => route.authenticated);
+}
+
+async function runAuthorize(action, profile, target) {
+  const req = { user: { uid: profile.uid }, userProfile: profile };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let allowed = false;
+  await authorize(action, () => target)(req, res, () => { allowed = true; });
+  return { allowed, res };
+}
+
+test('the expected matrix covers every permission action', () => {
+  assert.deepStrictEqual(Object.keys(EXPECTED).sort(), Object.keys(PERMISSIONS).sort());
+});
+
+test('every authenticated route declares a known action', () => {
+  const routes = protectedRoutes();
+  assert.ok(routes.length > 0);
+  routes.forEach(route => {
+    assert.ok(route.action, `${route.name} has no authorize() middleware`);
+    assert.ok(EXPECTED[route.action], `${route.name} uses unknown action ${route.action}`);
+  });
+});
+
+test('role × route matrix', async t => {
+  for (const route of protectedRoutes()) {
+    await t.test(`${route.name} (${route.action})`, async () => {
+      for (const [role, profile] of Object.entries(PROFILES)) {
+        const scope = EXPECTED[route.action][role];
+        for (const [targetName, { build, allowed: scopes }] of Object.entries(TARGETS)) {
+          const { allowed, res } = await runAuthorize(route.action, profile, build(profile));
+          const expected = !!scope && scopes.includes(scope);
+          assert.strictEqual(allowed, expected, `${role} on ${targetName} target: expected ${expected ? 'allow' : 'deny'}`);
+          if (!expected) {
+            assert.strictEqual(res.statusCode, 403);
+            assert.deepStrictEqual(Object.keys(res.body).sort(), ['action', 'error', 'role']);
+            assert.strictEqual(res.body.action, route.action);
+            assert.strictEqual(res.body.role, role);
+          }
+        }
+      }
+    });
+  }
+});
+
+test('campus-scoped roles without a campus are denied', () => {
+  Object.entries(EXPECTED).forEach(([action, roles]) => {
+    Object.entries(roles)
+      .filter(([, scope]) => scope === 'campus')
+      .forEach(([role]) => {
+        const profile = { ...PROFILES[role], campusId: undefined };
+        assert.strictEqual(permissionDenial(profile, profile.uid, action, null), 'No campus assigned to user profile', `${role} / ${action}`);
+      });
+  });
+});
+
+test('restaurant managers match their restaurant by name when ids differ', () => {
+  const manager = PROFILES.restaurantManager;
+  const target = { campusId: CAMPUS, restaurantIds: ['legacy-id'], restaurantNames: ['Rest One'] };
+  assert.strictEqual(permissionDenial(manager, manager.uid, 'order.read', target), null);
+});
+
+test('inactive, unknown-role and missing profiles never reach authorize', () => {
+  Object.values(PROFILES).forEach(profile => {
+    assert.strictEqual(profileDenial(profile), null);
+    assert.strictEqual(profileDenial({ ...profile, isActive: false }), 'Account is deactivated');
+  });
+  assert.strictEqual(profileDenial({ uid: 'uid-x', role: 'owner', campusId: CAMPUS }), 'Unauthorized role');
+  assert.strictEqual(profileDenial(null), 'User profile not found');
+});
+
+test('authorize rejects unknown actions when routes are declared', () => {
+  assert.throws(() => authorize('order.teleport'), /unknown action order\.teleport/);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { priceCart, findTotalMismatches, describeCartLines } = require('../index');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const CAMPUS = 'campus-a';
+const openRestaurant = { _id: new ObjectId(), name: 'Rest One', campusId: CAMPUS, is24x7: true };
+const closedRestaurant = {
+  _id: new ObjectId(),
+  name: 'Closed Kitchen',
+  campusId: CAMPUS,
+  schedule: { sun: [], mon: [], tue: [], wed: [], thu: [], fri: [], sat: [] }
+};
+const biryani = { _id: new ObjectId(), name: 'Biryani', price: 450, campusId: CAMPUS, restaurantId: String(openRestaurant._id) };
+const karahi = { _id: new ObjectId(), name: 'Karahi', price: 900, campusId: CAMPUS, restaurantId: String(closedRestaurant._id) };
+const water = { _id: new ObjectId(), name: 'Water', price: 60, campusId: CAMPUS, stock: 10 };
+
+function seedDb({ settings = {}, menuItems = [], martItems = [] } = {}) {
+  return createMemoryDb({
+    restaurants: [openRestaurant, closedRestaurant],
+    menuItems: [biryani, karahi, ...menuItems],
+    martItems: [water, ...martItems],
+    campusSettings: [{ campusId: CAMPUS, deliveryChargePerPerson: 50, ...settings }]
+  });
+}
+
+test('prices come from the catalog, not from the client', async () => {
+  const pricing = await priceCart(seedDb(), {
+    campusId: CAMPUS,
+    persons: 2,
+    cartItems: [
+      { id: String(biryani._id), quantity: 2, price: 1, name: 'Free food' },
+      { id: String(water._id), type: 'mart', quantity: 3, price: 0 }
+    ]
+  });
+  assert.deepStrictEqual(pricing.lines.map(l => [l.name, l.price, l.quantity, l.lineTotal]), [
+    ['Biryani', 450, 2, 900],
+    ['Water', 60, 3, 180]
+  ]);
+  assert.strictEqual(pricing.itemTotal, 1080);
+  assert.strictEqual(pricing.deliveryCharge, 100);
+  assert.strictEqual(pricing.grandTotal, 1180);
+  assert.strictEqual(pricing.lines[0].restaurantName, 'Rest One');
+});
+
+test('the stored cart description is built from the priced lines', async () => {
+  const pricing = await priceCart(seedDb(), {
+    campusId: CAMPUS,
+    cartItems: [{ id: String(biryani._id), quantity: 1, name: '=HYPERLINK("http://evil")' }]
+  });
+  assert.strictEqual(describeCartLines(pricing.lines), 'Biryani x1 = Rs. 450');
+});
+
+test('tampered client totals are reported as mismatches', async () => {
+  const pricing = await priceCart(seedDb(), { campusId: CAMPUS, cartItems: [{ id: String(biryani._id), quantity: 1 }] });
+  assert.deepStrictEqual(findTotalMismatches({ itemTotal: 1, deliveryCharge: 50, grandTotal: 51 }, pricing), ['itemTotal', 'grandTotal']);
+  assert.deepStrictEqual(findTotalMismatches({ itemTotal: '450', grandTotal: 500 }, pricing), []);
+  assert.deepStrictEqual(findTotalMismatches({}, pricing), []);
+});
+
+test('malformed quantities and persons are rejected before any lookup', async () => {
+  const db = seedDb();
+  for (const quantity of [0, -1, 1.5, 'two']) {
+    const result = await priceCart(db, { campusId: CAMPUS, cartItems: [{ id: String(biryani._id), quantity }] });
+    assert.deepStrictEqual(result.errors, [{ index: 0, id: String(biryani._id), error: 'quantity must be a positive integer' }], `quantity ${quantity}`);
+  }
+  assert.match((await priceCart(db, { campusId: CAMPUS, persons: 0, cartItems: [{ id: 'x' }] })).errors[0].error, /persons/);
+  assert.match((await priceCart(db, { campusId: CAMPUS, cartItems: [] })).errors[0].error, /non-empty/);
+  assert.match((await priceCart(db, { campusId: CAMPUS, cartItems: [{ quantity: 1 }] })).errors[0].error, /missing an id/);
+});
+
+test('items from other campuses, deleted, unavailable or unpriced items cannot be ordered', async () => {
+  const foreign = { _id: new ObjectId(), name: 'Elsewhere', price: 100, campusId: 'campus-b', restaurantId: String(openRestaurant._id) };
+  const deleted = { ...biryani, _id: new ObjectId(), name: 'Gone', deletedAt: new Date() };
+  const unavailable = { ...biryani, _id: new ObjectId(), name: 'Sold out', isAvailable: false };
+  const unpriced = { ...biryani, _id: new ObjectId(), name: 'Free', price: 0 };
+  const db = seedDb({ menuItems: [foreign, deleted, unavailable, unpriced] });
+  const result = await priceCart(db, {
+    campusId: CAMPUS,
+    cartItems: [foreign, deleted, unavailable, unpriced, { _id: new ObjectId() }].map(i => ({ id: String(i._id), quantity: 1 }))
+  });
+  assert.deepStrictEqual(result.errors.map(e => e.error), [
+    'Item does not belong to this campus',
+    'Item not found',
+    'Item is currently unavailable',
+    'Item has no valid price',
+    'Item not found'
+  ]);
+});
+
+test('closed restaurants and short mart stock are refused', async () => {
+  const result = await priceCart(seedDb(), {
+    campusId: CAMPUS,
+    cartItems: [
+      { id: String(karahi._id), quantity: 1 },
+      { id: String(water._id), type: 'mart', quantity: 11 }
+    ]
+  });
+  assert.strictEqual(result.errors[0].error, 'Restaurant is closed right now');
+  assert.strictEqual(result.errors[0].restaurantName, 'Closed Kitchen');
+  assert.deepStrictEqual(result.errors[1], { id: String(water._id), name: 'Water', error: 'Only 10 left in stock', available: 10 });
+});
+
+test('campus configuration gates pricing', async () => {
+  const unconfigured = await priceCart(createMemoryDb({ menuItems: [biryani], restaurants: [openRestaurant] }), {
+    campusId: CAMPUS,
+    cartItems: [{ id: String(biryani._id), quantity: 1 }]
+  });
+  assert.strictEqual(unconfigured.code, 'campusNotConfigured');
+
+  const belowMinimum = await priceCart(seedDb({ settings: { minimumOrderAmount: 500 } }), {
+    campusId: CAMPUS,
+    cartItems: [{ id: String(biryani._id), quantity: 1 }]
+  });
+  assert.strictEqual(belowMinimum.code, 'belowMinimum');
+  assert.strictEqual(belowMinimum.itemTotal, 450);
+});
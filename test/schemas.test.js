@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateInput, coerceBoolean } = require('../schemas');
+
+test('coerceBoolean accepts the shared spellings and nothing else', () => {
+  for (const v of [true, 'true', 'TRUE', ' yes ', 'y', '1', 1]) assert.strictEqual(coerceBoolean(v), true, String(v));
+  for (const v of [false, 'false', 'No', 'n', '0', 0]) assert.strictEqual(coerceBoolean(v), false, String(v));
+  for (const v of ['', 'maybe', 'on', null, undefined]) assert.strictEqual(coerceBoolean(v), undefined, String(v));
+});
+
+test('CSV-style strings and JSON booleans validate to the same value', () => {
+  const base = { name: 'Tea', price: '120', restaurantId: 'r1', campusId: 'c1' };
+  assert.strictEqual(validateInput('menuItems', { ...base, isAvailable: 'No' }).value.isAvailable, false);
+  assert.strictEqual(validateInput('menuItems', { ...base, isAvailable: false }).value.isAvailable, false);
+  assert.strictEqual(validateInput('menuItems', { ...base, isAvailable: 'y' }).value.isAvailable, true);
+  assert.deepStrictEqual(validateInput('menuItems', { ...base, isAvailable: 'maybe' }).errors, { isAvailable: 'isAvailable must be true or false' });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { deletedEditDenial } = require('../index');
+const { createMemoryDb } = require('./support/memoryDb');
+
+const universityId = new ObjectId();
+const campusId = new ObjectId();
+const restaurantId = new ObjectId();
+
+function seedDb({ universityDeleted = false, campusDeleted = false, restaurantDeleted = false } = {}) {
+  const deletedAt = new Date('2026-01-01T00:00:00Z');
+  return createMemoryDb({
+    universities: [{ _id: universityId, name: 'Uni', ...(universityDeleted ? { deletedAt } : {}) }],
+    campuses: [{ _id: campusId, name: 'Main', universityId: String(universityId), ...(campusDeleted ? { deletedAt } : {}) }],
+    restaurants: [{ _id: restaurantId, name: 'Rest One', campusId: String(campusId), ...(restaurantDeleted ? { deletedAt } : {}) }]
+  });
+}
+
+const menuItem = { _id: new ObjectId(), name: 'Biryani', campusId: String(campusId), restaurantId: String(restaurantId) };
+const martItem = { _id: new ObjectId(), name: 'Water', campusId: String(campusId) };
+
+test('live documents under live parents can be edited', async () => {
+  const db = seedDb();
+  assert.strictEqual(await deletedEditDenial(db, 'Menu item', menuItem), null);
+  assert.strictEqual(await deletedEditDenial(db, 'Mart item', martItem), null);
+  assert.strictEqual(await deletedEditDenial(db, 'Restaurant', await db.collection('restaurants').findOne({ _id: restaurantId })), null);
+});
+
+test('soft-deleted documents cannot be edited', async () => {
+  const db = seedDb({ restaurantDeleted: true });
+  const restaurant = await db.collection('restaurants').findOne({ _id: restaurantId });
+  assert.strictEqual(await deletedEditDenial(db, 'Restaurant', restaurant), 'Restaurant is deleted. Restore it before making changes.');
+  assert.match(await deletedEditDenial(db, 'Mart item', { ...martItem, deletedAt: new Date() }), /^Mart item is deleted/);
+});
+
+test('documents under a deleted restaurant, campus or university cannot be edited', async () => {
+  assert.strictEqual(
+    await deletedEditDenial(seedDb({ restaurantDeleted: true }), 'Menu item', menuItem),
+    'Menu item belongs to a deleted restaurant. Restore the restaurant before making changes.'
+  );
+  assert.strictEqual(
+    await deletedEditDenial(seedDb({ campusDeleted: true }), 'Mart item', martItem),
+    'Mart item belongs to a deleted campus. Restore the campus before making changes.'
+  );
+  const promo = { _id: new ObjectId(), code: 'SAVE10', campusId: String(campusId), restaurantId: String(restaurantId) };
+  assert.match(await deletedEditDenial(seedDb({ campusDeleted: true }), 'Promo code', promo), /deleted campus/);
+
+  const db = seedDb({ universityDeleted: true });
+  const campus = await db.collection('campuses').findOne({ _id: campusId });
+  assert.strictEqual(
+    await deletedEditDenial(db, 'Campus', campus),
+    'Campus belongs to a deleted university. Restore the university before making changes.'
+  );
+});
+
+test('legacy string ids resolve their parents', async () => {
+  const db = createMemoryDb({ restaurants: [{ _id: 'legacy-rest', name: 'Old', deletedAt: new Date() }] });
+  assert.match(await deletedEditDenial(db, 'Menu item', { name: 'Tea', restaurantId: 'legacy-rest' }), /deleted restaurant/);
+});
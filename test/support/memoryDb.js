@@ -0,0 +1,253 @@
+// In-memory stand-in for the subset of the MongoDB driver the helpers under test use:
+// find/findOne/insertOne/updateOne/updateMany/replaceOne/deleteOne/countDocuments with
+// equality, $in/$nin/$ne/$gt/$gte/$lt/$lte/$exists/$type and $or/$and filters, and
+// $set/$unset/$inc/$push/$setOnInsert updates. Unsupported operators throw so a test
+// never passes by accident.
+const { ObjectId } = require('mongodb');
+
+function clone(value) {
+  if (value instanceof ObjectId) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (obj[key] === null || typeof obj[key] !== 'object') obj[key] = {};
+    return obj[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj ? obj[key] : undefined), doc);
+  if (parent) delete parent[last];
+}
+
+function sameValue(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return a === b;
+}
+
+function equalsQuery(actual, expected) {
+  if (expected === null) return actual === null || actual === undefined;
+  if (Array.isArray(actual) && !Array.isArray(expected)) return actual.some(v => sameValue(v, expected));
+  return sameValue(actual, expected);
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toHexString();
+  return value;
+}
+
+function compare(actual, expected) {
+  const a = comparable(actual);
+  const b = comparable(expected);
+  if (a === null || a === undefined || typeof a !== typeof b) return null;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const BSON_TYPES = {
+  number: v => typeof v === 'number',
+  string: v => typeof v === 'string',
+  date: v => v instanceof Date
+};
+
+function matchesOperators(actual, condition) {
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case '$in': return expected.some(e => equalsQuery(actual, e));
+      case '$nin': return !expected.some(e => equalsQuery(actual, e));
+      case '$ne': return !equalsQuery(actual, expected);
+      case '$gt': return compare(actual, expected) > 0;
+      case '$gte': return compare(actual, expected) >= 0;
+      case '$lt': { const c = compare(actual, expected); return c !== null && c < 0; }
+      case '$lte': { const c = compare(actual, expected); return c !== null && c <= 0; }
+      case '$exists': return (actual !== undefined) === expected;
+      case '$type': return BSON_TYPES[expected](actual);
+      default: throw new Error(`memoryDb: unsupported query operator ${op}`);
+    }
+  });
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) &&
+    !Array.isArray(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(f => matches(doc, f));
+    if (key === '$and') return condition.every(f => matches(doc, f));
+    if (key.startsWith('$')) throw new Error(`memoryDb: unsupported top-level operator ${key}`);
+    const actual = getPath(doc, key);
+    return isOperatorObject(condition) ? matchesOperators(actual, condition) : equalsQuery(actual, condition);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  Object.entries(update).forEach(([op, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (op) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+        case '$push': setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]); break;
+        default: throw new Error(`memoryDb: unsupported update operator ${op}`);
+      }
+    });
+  });
+}
+
+// Equality fields of a filter seed an upserted document, as in MongoDB
+function upsertSeed(filter) {
+  const seed = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (!key.startsWith('$') && !isOperatorObject(condition)) setPath(seed, key, clone(condition));
+  });
+  return seed;
+}
+
+function duplicateKeyError(id) {
+  const err = new Error(`E11000 duplicate key error dup key: { _id: ${String(id)} }`);
+  err.code = 11000;
+  return err;
+}
+
+function createCollection() {
+  const docs = [];
+  const indexOf = filter => docs.findIndex(d => matches(d, filter));
+  const hasId = id => docs.some(d => sameValue(d._id, id));
+
+  const collection = {
+    docs,
+    find(filter = {}) {
+      let result = docs.filter(d => matches(d, filter));
+      const cursor = {
+        sort(spec) {
+          const fields = Object.entries(spec);
+          result = [...result].sort((a, b) => {
+            for (const [field, dir] of fields) {
+              const c = compare(getPath(a, field), getPath(b, field));
+              if (c) return c * dir;
+            }
+            return 0;
+          });
+          return cursor;
+        },
+        skip(n) { result = result.slice(n); return cursor; },
+        limit(n) { result = n ? result.slice(0, n) : result; return cursor; },
+        async toArray() { return result.map(clone); }
+      };
+      return cursor;
+    },
+    async findOne(filter = {}) {
+      const i = indexOf(filter);
+      return i === -1 ? null : clone(docs[i]);
+    },
+    async countDocuments(filter = {}) {
+      return docs.filter(d => matches(d, filter)).length;
+    },
+    async insertOne(doc) {
+      const stored = clone(doc);
+      if (stored._id === undefined) stored._id = new ObjectId();
+      if (hasId(stored._id)) throw duplicateKeyError(stored._id);
+      docs.push(stored);
+      return { acknowledged: true, insertedId: stored._id };
+    },
+    async insertMany(list) {
+      const insertedIds = [];
+      for (const doc of list) insertedIds.push((await collection.insertOne(doc)).insertedId);
+      return { acknowledged: true, insertedCount: insertedIds.length, insertedIds };
+    },
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const i = indexOf(filter);
+      if (i !== -1) {
+        const before = JSON.stringify(docs[i]);
+        applyUpdate(docs[i], update, false);
+        return { matchedCount: 1, modifiedCount: JSON.stringify(docs[i]) === before ? 0 : 1, upsertedCount: 0 };
+      }
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const doc = upsertSeed(filter);
+      applyUpdate(doc, update, true);
+      const { insertedId } = await collection.insertOne(doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+    },
+    async updateMany(filter, update) {
+      const matched = docs.filter(d => matches(d, filter));
+      matched.forEach(d => applyUpdate(d, update, false));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    async findOneAndUpdate(filter, update, { upsert = false, returnDocument = 'before', includeResultMetadata = false } = {}) {
+      const i = indexOf(filter);
+      let before = i === -1 ? null : clone(docs[i]);
+      let after;
+      if (i !== -1) {
+        applyUpdate(docs[i], update, false);
+        after = clone(docs[i]);
+      } else if (upsert) {
+        const doc = upsertSeed(filter);
+        applyUpdate(doc, update, true);
+        const { insertedId } = await collection.insertOne(doc);
+        after = await collection.findOne({ _id: insertedId });
+        before = null;
+      } else {
+        after = null;
+      }
+      const value = returnDocument === 'after' ? after : before;
+      return includeResultMetadata ? { value, ok: 1 } : value;
+    },
+    async replaceOne(filter, replacement, { upsert = false } = {}) {
+      const i = indexOf(filter);
+      if (i !== -1) {
+        docs[i] = { ...clone(replacement), _id: docs[i]._id };
+        return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+      }
+      if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      await collection.insertOne({ ...upsertSeed(filter), ...clone(replacement) });
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    },
+    async deleteOne(filter) {
+      const i = indexOf(filter);
+      if (i === -1) return { deletedCount: 0 };
+      docs.splice(i, 1);
+      return { deletedCount: 1 };
+    },
+    async deleteMany(filter) {
+      const before = docs.length;
+      for (let i = docs.length - 1; i >= 0; i--) if (matches(docs[i], filter)) docs.splice(i, 1);
+      return { deletedCount: before - docs.length };
+    }
+  };
+  return collection;
+}
+
+// db.collection(name) returns the same in-memory collection for the lifetime of the db
+function createMemoryDb(seed = {}) {
+  const collections = new Map();
+  const db = {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection());
+      return collections.get(name);
+    }
+  };
+  Object.entries(seed).forEach(([name, list]) => db.collection(name).docs.push(...list.map(clone)));
+  return db;
+}
+
+module.exports = { createMemoryDb };